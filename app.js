@@ -4,11 +4,87 @@
 const RUN_MODE = 0;
 const PROG_MODE = 1;
 
+// Files generated in the browser (e.g. custom voice packs), keyed by the URL path they stand in for
+const memoryFiles = new Map();
+
+/**
+ * Fetch a file, serving it from memoryFiles when it was generated in the browser rather than from the web server
+ * @param {string} url - URL path of the file
+ * @param {object} [options] - fetch options (only the method is used for in-memory files)
+ * @returns {Promise<Response>} The response
+ */
+function fetchResource(url, options = {})
+{
+    if (memoryFiles.has(url))
+    {
+        const content = memoryFiles.get(url);
+        const body = typeof content === "string" ? new TextEncoder().encode(content) : content;
+        return Promise.resolve(new Response(options.method === "HEAD" ? null : body,
+                                            { status: 200, headers: { "Content-Length": String(body.length) } }));
+    }
+    return fetch(url, options);
+}
+
+/**
+ * Computes the SHA-256 digest of some data
+ * @param {BufferSource} data - The data
+ * @returns {Promise<string>} The digest as lower case hex
+ */
+async function sha256Hex(data)
+{
+    const digest = new Uint8Array(await crypto.subtle.digest("SHA-256", data));
+    return Array.from(digest, (byte) => byte.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * Check downloaded data against its published size and SHA-256 digest
+ * @param {Uint8Array} data - The downloaded file
+ * @param {{sha256: string | null, size: number | null} | null} expected - Published values (either may be missing), or null if none
+ * @returns {Promise<string | null>} Why the data doesn't match, or null if it does (or nothing was published)
+ */
+async function checkFileIntegrity(data, expected)
+{
+    if (!expected)
+    {
+        return null;
+    }
+    if (expected.size !== null && expected.size !== undefined && data.length !== expected.size)
+    {
+        return compareFileDigest({ size: data.length, sha256: null }, expected);
+    }
+    return compareFileDigest({ size: data.length, sha256: expected.sha256 ? await sha256Hex(data) : null }, expected);
+}
+
+/**
+ * Check the measured size and digest of a file that was already downloaded against the published ones
+ * @param {{size: number, sha256: string | null}} measured - Size and SHA-256 digest of the downloaded data
+ * @param {{sha256: string | null, size: number | null} | null} expected - Published values (either may be missing), or null if none
+ * @returns {string | null} Why the data doesn't match, or null if it does (or nothing was published)
+ */
+function compareFileDigest(measured, expected)
+{
+    if (!expected)
+    {
+        return null;
+    }
+    if (expected.size !== null && expected.size !== undefined && measured.size !== expected.size)
+    {
+        return `size is ${measured.size} bytes but ${expected.size} were published (truncated or stale download)`;
+    }
+    if (expected.sha256 && measured.sha256 !== expected.sha256.toLowerCase())
+    {
+        return "SHA-256 digest does not match the published one (corrupted or stale download)";
+    }
+    return null;
+}
+
 // --- PicUsbInterface Class Definition ---
-class PicUsbInterface
+class PicUsbInterface extends EventTarget
 {
     constructor()
     {
+        super();
+
         // Constants
         this.PRG_START_ADD = 0x1400; // must be 1024 byte boundary!
         this.PACKET_HEADER_SIZE = 5;
@@ -43,9 +119,172 @@ class PicUsbInterface
         this.isReading = false; // Flag to prevent concurrent reads
 
         // HID related state
+        this.hid = (typeof navigator !== "undefined" && navigator.hid) ? navigator.hid : null; // WebHID entry point (swappable for the emulator)
         this.device = null;
         this.deviceDetected = false;
         this.packet = new Uint8Array(this.PACKET_SIZE);
+
+        // Opt-in USB packet trace (null when not recording)
+        this.trace = null;
+        this.traceStartTime = 0;
+
+        // Progress of each phase of the current session, reported with "progress" events (see startProgress)
+        this.progress = new Map();
+
+        // Hot-plug tracking, reported with "connection" events (see watchConnections)
+        this.watchedHid = null;
+        this.reopenKey = ""; // describeDevice() of an open device that was unplugged, re-opened when it returns
+        this.reopenUnplugged = true; // False while every marker plugged in should be treated as a new one (station mode)
+        this.unitConfig = null; // Config blocks last read from or written to the open device, to recognise it when it returns
+        this.abortPendingRead = null; // Ends the read in progress early (set by readDataPacket)
+        this.onHidConnect = (event) => this.handleConnect(event.device);
+        this.onHidDisconnect = (event) => this.handleDisconnect(event.device);
+    }
+
+    /**
+     * Get the symbolic name of a command byte
+     * @param {number} cmd - The command byte
+     * @returns {string} Command name, or "UNKNOWN_<n>" if not recognised
+     */
+    getCommandName(cmd)
+    {
+        const names = {
+            [this.CMD_PROGRAM_MEM_BLOCK]: "PROGRAM_MEM_BLOCK",
+            [this.CMD_READ_EEPROM_PAGE]: "READ_EEPROM_PAGE",
+            [this.CMD_EEPROM_CLEAR_PROTECTION]: "EEPROM_CLEAR_PROTECTION",
+            [this.CMD_ERASE_EEPROM_BLOCK]: "ERASE_EEPROM_BLOCK",
+            [this.CMD_WRITE_EEPROM_PAGE]: "WRITE_EEPROM_PAGE",
+            [this.CMD_SET_MODE]: "SET_MODE",
+            [this.CMD_ACK]: "ACK"
+        };
+        return names[cmd] || `UNKNOWN_${cmd}`;
+    }
+
+    /**
+     * Start recording every outgoing packet and incoming report (clears any previous trace)
+     */
+    startTrace()
+    {
+        this.trace = [];
+        this.traceStartTime = performance.now();
+    }
+
+    /**
+     * Stop recording packets
+     * @returns {object[] | null} The recorded trace entries, or null if no trace was running
+     */
+    stopTrace()
+    {
+        const trace = this.trace;
+        this.trace = null;
+        return trace;
+    }
+
+    /**
+     * Append an entry to the packet trace, if recording
+     * @param {string} dir - "out" for host-to-device packets, "in" for device reports
+     * @param {Uint8Array | null} data - Packet bytes, or null if none was transferred
+     * @param {object} [extra] - Additional fields (e.g. timeout, error)
+     */
+    recordTrace(dir, data, extra = {})
+    {
+        if (!this.trace) return;
+
+        const entry = { t: Math.round((performance.now() - this.traceStartTime) * 10) / 10, dir };
+        if (data)
+        {
+            entry.data = Array.from(data, (b) => b.toString(16).padStart(2, "0")).join("");
+            if (dir === "out")
+            {
+                entry.cmd = this.getCommandName(data[0]);
+                entry.address = "0x" + ((data[1] << 16) | (data[2] << 8) | data[3]).toString(16).padStart(6, "0");
+                entry.length = data[4];
+            }
+            else
+            {
+                entry.status = (data[0] === this.CMD_ACK) ? "ACK" : `NACK(${data[0]})`;
+            }
+        }
+        this.trace.push(Object.assign(entry, extra));
+    }
+
+    /**
+     * Announce a phase that will run later in the session, so overall progress can allow for it
+     * @param {string} phase - "connect", "mode", "firmware", "erase", "voice", "map", "verify" or "config"
+     * @param {number} total - Bytes the phase will write, erase or read back (1 for a single step)
+     * @param {number} stepSize - Bytes handled per USB command, used to weigh phases against each other
+     */
+    planProgress(phase, total, stepSize)
+    {
+        this.progress.set(phase, { phase, total, stepSize, done: 0, skipped: 0, startedAt: null, finishedAt: null });
+        this.emitProgress(phase);
+    }
+
+    /**
+     * Start (or restart) a phase and report it
+     * @param {string} phase - The phase (see planProgress)
+     * @param {number} total - Bytes the phase will write, erase or read back (1 for a single step)
+     * @param {number} stepSize - Bytes handled per USB command
+     */
+    startProgress(phase, total, stepSize)
+    {
+        this.progress.set(phase, { phase, total, stepSize, done: 0, skipped: 0, startedAt: performance.now(), finishedAt: null });
+        this.emitProgress(phase);
+    }
+
+    /**
+     * Count work done in a phase and report it. Ignored if the phase wasn't started.
+     * @param {string} phase - The phase
+     * @param {number} amount - Bytes (or steps) just completed
+     * @param {string | null} [item] - What is being worked on, e.g. a voice file name
+     */
+    advanceProgress(phase, amount, item = null)
+    {
+        const state = this.progress.get(phase);
+        if (!state) return;
+
+        state.done = Math.min(state.done + amount, state.total);
+        if (state.done >= state.total && state.finishedAt === null) state.finishedAt = performance.now();
+        this.emitProgress(phase, item);
+    }
+
+    /**
+     * Mark work in a phase as already done without doing it (e.g. when resuming), so it
+     * counts towards progress but not towards the transfer rate
+     * @param {string} phase - The phase
+     * @param {number} [amount] - Bytes (or steps) to skip, all that is left by default
+     */
+    skipProgress(phase, amount = Infinity)
+    {
+        const state = this.progress.get(phase);
+        if (!state) return;
+
+        const skipped = Math.min(amount, state.total - state.done);
+        state.done += skipped;
+        state.skipped += skipped;
+        if (state.startedAt === null) state.startedAt = performance.now();
+        if (state.done >= state.total && state.finishedAt === null) state.finishedAt = performance.now();
+        this.emitProgress(phase);
+    }
+
+    /**
+     * Forget all phases, e.g. when a new session starts (reported as a progress event with no detail)
+     */
+    resetProgress()
+    {
+        this.progress.clear();
+        this.dispatchEvent(new CustomEvent("progress", { detail: null }));
+    }
+
+    /**
+     * Dispatch a "progress" event with a snapshot of a phase
+     * @param {string} phase - The phase
+     * @param {string | null} [item] - What is being worked on
+     */
+    emitProgress(phase, item = null)
+    {
+        const detail = Object.assign({ item }, this.progress.get(phase));
+        this.dispatchEvent(new CustomEvent("progress", { detail }));
     }
 
     /**
@@ -70,7 +309,7 @@ class PicUsbInterface
         try
         {
             const filters = [{ vendorId: this.VID, productId: this.PID }];
-            const devices = await navigator.hid.requestDevice({ filters });
+            const devices = await this.hid.requestDevice({ filters });
             if (devices.length > 0)
             {
                 this.device = devices[0];
@@ -89,6 +328,23 @@ class PicUsbInterface
         }
     }
 
+    /**
+     * Use a specific device the user has already given access to (e.g. one of several attached markers)
+     * @param {HIDDevice} device - The device
+     * @returns {boolean} True if the device is a Luxe marker and was selected, false otherwise
+     */
+    selectDevice(device)
+    {
+        if (!device || !this.isLuxeDevice(device))
+        {
+            console.error("Cannot select: not a Luxe device.");
+            return false;
+        }
+        this.device = device;
+        this.deviceDetected = true;
+        return true;
+    }
+
     /**
      * Check for already paired devices (Note: May not work reliably depending on browser permissions)
      * @returns {Promise<boolean>} True if a matching paired device is found, false otherwise
@@ -97,7 +353,7 @@ class PicUsbInterface
     {
         try
         {
-            const devices = await navigator.hid.getDevices();
+            const devices = await this.hid.getDevices();
             for (let device of devices)
             {
                 if (device.vendorId === this.VID && device.productId === this.PID)
@@ -132,6 +388,7 @@ class PicUsbInterface
             return false;
         }
 
+        this.startProgress("connect", 1, 1);
         try
         {
             if (!this.device.opened)
@@ -139,6 +396,10 @@ class PicUsbInterface
                 await this.device.open();
                 console.log("HID Device opened successfully.");
             }
+            this.reopenKey = "";
+            this.unitConfig = null;
+            this.advanceProgress("connect", 1);
+            this.emitConnection("opened", this.device);
             return true;
         }
         catch (error)
@@ -156,15 +417,18 @@ class PicUsbInterface
     {
         // Reset reading flag if device is closed mid-read
         this.isReading = false;
+        this.reopenKey = ""; // Closed on purpose, so don't re-open it if it is plugged in again
 
         if (this.device && this.device.opened)
         {
             try
             {
+                const device = this.device;
                 await this.device.close();
                 console.log("HID Device closed.");
                 this.deviceDetected = false; // Reset detection status on close
                 this.device = null;
+                this.emitConnection("closed", device);
                 return true;
             }
             catch (error)
@@ -178,6 +442,141 @@ class PicUsbInterface
         return false;
     }
 
+    /**
+     * Describe a device by its USB descriptor. This names the model, not the unit: every Luxe reports the
+     * same IDs and product name and WebHID exposes no serial number, so two markers look the same here.
+     * @param {HIDDevice} device - The device
+     * @returns {string} Vendor/product IDs and product name
+     */
+    describeDevice(device)
+    {
+        return `${device.vendorId}:${device.productId}:${device.productName || ""}`;
+    }
+
+    /**
+     * Check whether a device is a Luxe marker
+     * @param {HIDDevice} device - The device
+     * @returns {boolean} True if the vendor and product IDs match
+     */
+    isLuxeDevice(device)
+    {
+        return device.vendorId === this.VID && device.productId === this.PID;
+    }
+
+    /**
+     * Listen for markers being plugged in and unplugged on the current WebHID entry point.
+     * Call again after swapping this.hid; listeners on the previous entry point are removed.
+     * @returns {boolean} True if WebHID is available to watch
+     */
+    watchConnections()
+    {
+        if (this.watchedHid === this.hid)
+        {
+            return !!this.hid;
+        }
+        if (this.watchedHid)
+        {
+            this.watchedHid.removeEventListener("connect", this.onHidConnect);
+            this.watchedHid.removeEventListener("disconnect", this.onHidDisconnect);
+        }
+        this.watchedHid = this.hid;
+        if (!this.hid)
+        {
+            return false;
+        }
+        this.hid.addEventListener("connect", this.onHidConnect);
+        this.hid.addEventListener("disconnect", this.onHidDisconnect);
+        return true;
+    }
+
+    /**
+     * Handle a WebHID "disconnect" event. If it was the open device, the read in progress fails at once
+     * (instead of after READ_TIMEOUT) and the device is remembered so it can be re-opened when it returns.
+     * @param {HIDDevice} device - The device that was unplugged
+     */
+    handleDisconnect(device)
+    {
+        if (!this.isLuxeDevice(device))
+        {
+            return;
+        }
+        if (device !== this.device)
+        {
+            this.emitConnection("unplugged", device);
+            return;
+        }
+
+        console.warn("HID Device unplugged.");
+        this.reopenKey = this.reopenUnplugged ? this.describeDevice(device) : "";
+        this.device = null;
+        this.deviceDetected = false;
+        if (this.abortPendingRead)
+        {
+            this.abortPendingRead(new Error("Device unplugged"));
+        }
+        this.emitConnection("lost", device);
+    }
+
+    /**
+     * Handle a WebHID "connect" event, re-opening the device if it is the one that was unplugged while open.
+     * Every Luxe has the same USB descriptor, so it is only kept open if its config blocks are the ones read from
+     * (or written to) the unplugged device; otherwise it is closed again and reported as "plugged", a new marker.
+     * @param {HIDDevice} device - The device that was plugged in
+     * @returns {Promise<void>}
+     */
+    async handleConnect(device)
+    {
+        if (!this.isLuxeDevice(device))
+        {
+            return;
+        }
+        if (!this.reopenKey || this.device || this.describeDevice(device) !== this.reopenKey || !this.unitConfig)
+        {
+            this.emitConnection("plugged", device);
+            return;
+        }
+
+        this.reopenKey = "";
+        const expectedConfig = this.unitConfig;
+        try
+        {
+            if (!device.opened)
+            {
+                await device.open();
+            }
+            this.device = device;
+            this.deviceDetected = true;
+
+            const config = await this.readConfigBlocks();
+            if (config === null || !this.bytesMatch(expectedConfig, config))
+            {
+                console.warn("A marker was plugged in, but its config blocks differ from the unplugged one; not re-opening it.");
+                await this.closeDevice();
+                this.emitConnection("plugged", device);
+                return;
+            }
+            console.log("HID Device re-opened after being plugged in again.");
+            this.emitConnection("reopened", device);
+        }
+        catch (error)
+        {
+            console.error("Error re-opening HID device:", error);
+            this.device = null;
+            this.deviceDetected = false;
+            this.emitConnection("plugged", device);
+        }
+    }
+
+    /**
+     * Report a change in the device connection with a "connection" event
+     * @param {string} state - "opened", "closed", "lost", "reopened", "plugged" or "unplugged"
+     * @param {HIDDevice} device - The device concerned
+     */
+    emitConnection(state, device)
+    {
+        this.dispatchEvent(new CustomEvent("connection", { detail: { state, device } }));
+    }
+
     /**
      * Write a data packet (output report) to the device.
      * More robust logging.
@@ -201,12 +600,14 @@ class PicUsbInterface
             // console.debug("Writing packet:", this.packet); // Optional: Log outgoing packet for debugging
             // Report ID 0 is common, adjust if your device uses others
             await this.device.sendReport(0, this.packet);
+            this.recordTrace("out", this.packet);
             // console.debug("Packet sent successfully via sendReport.");
             return true;
         }
         catch (error)
         {
             // Log the specific error for better diagnosis
+            this.recordTrace("out", this.packet, { error: error.message });
             console.error("Error writing data packet (sendReport failed):", error);
             return false;
         }
@@ -243,16 +644,30 @@ class PicUsbInterface
         {
             let timeoutId = null;
             let reportListener = null; // To hold the listener function for removal
+            const device = this.device;
+
+            // Called by handleDisconnect so an unplug fails the read straight away
+            this.abortPendingRead = (error) =>
+            {
+                clearTimeout(timeoutId);
+                try { device.removeEventListener("inputreport", reportListener); } catch(e) {/* Ignore */}
+                this.abortPendingRead = null;
+                this.isReading = false; // Release lock
+                this.recordTrace("in", null, { error: error.message });
+                reject(error);
+            };
 
             // Define the listener function
             reportListener = (event) =>
             {
                 clearTimeout(timeoutId); // Cancel timeout
                 // No need to remove listener explicitly due to { once: true }
+                this.abortPendingRead = null;
                 this.isReading = false; // Release lock
 
                 const receivedData = new Uint8Array(event.data.buffer);
                 // console.debug("Input report received:", receivedData); // Optional: Log received data
+                this.recordTrace("in", receivedData);
 
                 // Update the class's internal packet buffer *if* callers rely on it
                 // Being up-to-date after a read (like writeVoiceBankCount did).
@@ -270,7 +685,9 @@ class PicUsbInterface
                 {
                     try { this.device.removeEventListener("inputreport", reportListener); } catch(e) {/* Ignore potential errors if already removed */}
                 }
+                this.abortPendingRead = null;
                 this.isReading = false; // Release lock
+                this.recordTrace("in", null, { timeout: true });
                 console.error(`readDataPacket Error: Timeout after ${this.READ_TIMEOUT}ms waiting for input report.`);
                 reject(new Error("Read timeout")); // Reject the Promise due to timeout
             };
@@ -288,6 +705,7 @@ class PicUsbInterface
             {
                  // Catch errors during listener setup
                  clearTimeout(timeoutId); // Clean up timer if setup fails
+                 this.abortPendingRead = null;
                  this.isReading = false; // Release lock
                  console.error("readDataPacket Error: Failed to set up input report listener:", error);
                  reject(error); // Reject the promise if setup fails
@@ -386,265 +804,394 @@ class PicUsbInterface
     /**
      * Load records from an Intel HEX file fetched from the server
      * @param {string} firmwareFile - URL path to the HEX file
-     * @returns {Promise<string[]>} Array of hex record strings (without ':') or empty array on error
+     * @param {{sha256: string | null, size: number | null} | null} [expected] - Published size and digest to check the download against
+     * @returns {Promise<{records: {lineNumber: number, text: string}[], size: number, sha256: string}>} Every non-blank line with
+     *          its 1-based line number (start code still attached so malformed lines can be reported), and the size and
+     *          SHA-256 digest of the file as downloaded
+     * @throws {Error} If the file cannot be fetched or fails the integrity check
      */
-    async loadRecordSet(firmwareFile)
+    async loadRecordSet(firmwareFile, expected = null)
     {
         try
         {
-            const response = await fetch(firmwareFile);
+            const response = await fetchResource(firmwareFile);
             if (!response.ok)
             {
                 throw new Error(`Failed to fetch file: ${response.statusText} (URL: ${firmwareFile})`);
             }
-            const text = await response.text();
+            const data = new Uint8Array(await response.arrayBuffer());
+            const integrityError = await checkFileIntegrity(data, expected);
+            if (integrityError)
+            {
+                throw new Error(`${firmwareFile}: ${integrityError}`);
+            }
+            const text = new TextDecoder().decode(data);
 
-            // Split on newline, filter empty lines, trim whitespace, and check for ':' prefix
+            // Split on newline, keep line numbers, skip blank lines
             const lines = text.split('\n');
             const recordSet = [];
 
-            for (const line of lines)
+            for (let i = 0; i < lines.length; i++)
             {
-                const trimmedLine = line.trim();
-                if (trimmedLine.length > 0 && trimmedLine.startsWith(':'))
+                const trimmedLine = lines[i].trim();
+                if (trimmedLine.length > 0)
                 {
-                    recordSet.push(trimmedLine.substring(1));
+                    recordSet.push({ lineNumber: i + 1, text: trimmedLine });
                 }
             }
-            return recordSet;
+            return { records: recordSet, size: data.length, sha256: await sha256Hex(data) };
         }
         catch (error)
         {
             console.error("Error loading hex record set:", error);
-            return [];
+            throw error;
         }
     }
 
     /**
-     * Parse a single Intel HEX record string
+     * Parse and validate a single Intel HEX record string
      * @param {string} recordStr - Hex record string (without ':')
-     * @returns {object | null} Parsed record object or null if invalid
+     * @returns {object} Parsed record object
+     * @throws {Error} If the record is malformed, has a bad checksum or an unsupported type
      */
     parseRecord(recordStr)
     {
-        // Minimal validation, assumes correct format from loadRecordSet
-        if (recordStr.length < 11) return null; // Min length: CCLLAA00DDCS
-
-        try
+        if (!/^[0-9A-Fa-f]*$/.test(recordStr))
         {
-            const record = {};
-            let tempStr = recordStr;
-
-            record.dataSize = parseInt(tempStr.substring(0, 2), 16);
-            tempStr = tempStr.substring(2);
-
-            record.midAdd = parseInt(tempStr.substring(0, 2), 16); // Actually high byte of 16-bit address
-            tempStr = tempStr.substring(2);
-
-            record.lowAdd = parseInt(tempStr.substring(0, 2), 16); // Low byte of 16-bit address
-            tempStr = tempStr.substring(2);
-
-            record.recType = parseInt(tempStr.substring(0, 2), 16);
-            tempStr = tempStr.substring(2);
+            throw new Error("record contains non-hex characters");
+        }
+        if (recordStr.length < 10) // Min length: LLAAAATTCC
+        {
+            throw new Error("record too short");
+        }
 
-            // Basic check: Does length match expected?
-            if (tempStr.length !== (record.dataSize * 2) + 2) // data bytes + checksum byte
-            {
-                 console.warn("Hex record parse warning: Length mismatch", recordStr);
-            }
+        const bytes = new Uint8Array(recordStr.length >> 1);
+        for (let i = 0; i < bytes.length; i++)
+        {
+            bytes[i] = parseInt(recordStr.substring(i * 2, i * 2 + 2), 16);
+        }
 
-            record.data = new Uint8Array(record.dataSize);
-            for (let i = 0; i < record.dataSize; i++)
-            {
-                record.data[i] = parseInt(tempStr.substring(0, 2), 16);
-                tempStr = tempStr.substring(2);
-            }
+        const record = {};
+        record.dataSize = bytes[0];
+        record.midAdd = bytes[1]; // Actually high byte of 16-bit address
+        record.lowAdd = bytes[2]; // Low byte of 16-bit address
+        record.recType = bytes[3];
 
-            record.checkSum = parseInt(tempStr.substring(0, 2), 16);
-            // TODO: Add checksum validation if needed
+        if (recordStr.length !== (record.dataSize * 2) + 10) // header + data bytes + checksum byte
+        {
+            throw new Error(`length mismatch (byte count says ${record.dataSize} data bytes)`);
+        }
 
-            record.highAdd = 0x00; // Default, updated by type 04 records
+        // The two's complement checksum makes all record bytes sum to zero
+        const sum = bytes.reduce((total, b) => total + b, 0);
+        if ((sum & 0xff) !== 0)
+        {
+            throw new Error(`checksum mismatch (record sums to 0x${(sum & 0xff).toString(16).padStart(2, "0")})`);
+        }
 
-            return record;
+        // Data size expected for each supported record type
+        const expectedSizes = { 0x00: null, 0x01: 0, 0x02: 2, 0x03: 4, 0x04: 2, 0x05: 4 };
+        if (!(record.recType in expectedSizes))
+        {
+            throw new Error(`unsupported record type 0x${record.recType.toString(16).padStart(2, "0")}`);
         }
-        catch (e)
+        if (expectedSizes[record.recType] !== null && record.dataSize !== expectedSizes[record.recType])
         {
-             console.error("Error parsing hex record:", recordStr, e);
-             return null;
+            throw new Error(`record type 0x${record.recType.toString(16).padStart(2, "0")} must have ${expectedSizes[record.recType]} data bytes`);
         }
+
+        record.data = bytes.slice(4, 4 + record.dataSize);
+        record.checkSum = bytes[bytes.length - 1];
+
+        record.highAdd = 0x00; // Default, updated by type 02/04 records
+
+        return record;
     }
 
     /**
-     * Parse an entire Intel HEX file content
+     * Parse an entire Intel HEX file content, rejecting malformed lines
      * @param {string} firmwareFile - URL path to the HEX file
-     * @returns {Promise<object[]>} Array of parsed record objects or empty array on error
+     * @param {{sha256: string | null, size: number | null} | null} [expected] - Published size and digest of the file
+     * @returns {Promise<{hexSet: object[], errors: string[], source: {size: number, sha256: string} | null}>} Parsed records
+     *          (each tagged with its lineNumber), a description of every problem found, and the size and digest of the
+     *          file as downloaded (null if it couldn't be)
      */
-    async parseFile(firmwareFile)
+    async parseFile(firmwareFile, expected = null)
     {
         let recordSet;
+        let source;
         try
         {
-            recordSet = await this.loadRecordSet(firmwareFile);
-            if (recordSet.length === 0)
-            {
-                 console.warn("No valid records loaded from hex file:", firmwareFile);
-                 return [];
-            }
+            const loaded = await this.loadRecordSet(firmwareFile, expected);
+            recordSet = loaded.records;
+            source = { size: loaded.size, sha256: loaded.sha256 };
         }
         catch (error)
         {
-            console.error("Error loading record set for parsing:", error);
-            return [];
+            return { hexSet: [], errors: [error.message], source: null };
+        }
+        if (recordSet.length === 0)
+        {
+             console.warn("No valid records loaded from hex file:", firmwareFile);
+             return { hexSet: [], errors: [`No records could be loaded from ${firmwareFile}`], source };
         }
 
         const hexSet = [];
-        for (let i = 0; i < recordSet.length; i++)
+        const errors = [];
+        for (const { lineNumber, text } of recordSet)
         {
-            const parsed = this.parseRecord(recordSet[i]);
-            if (parsed) // Only add valid records
+            if (!text.startsWith(':'))
+            {
+                errors.push(`Line ${lineNumber}: missing ':' start code`);
+                continue;
+            }
+
+            try
             {
+                const parsed = this.parseRecord(text.substring(1));
+                parsed.lineNumber = lineNumber;
                 hexSet.push(parsed);
             }
+            catch (error)
+            {
+                errors.push(`Line ${lineNumber}: ${error.message}`);
+            }
         }
-        return hexSet;
+        return { hexSet, errors, source };
     }
 
     /**
-     * Write firmware image from a HEX file to the device's program memory
-     * @param {string} firmwareFile - URL path to the HEX file
-     * @returns {Promise<boolean>} True on success, false on failure
+     * Build a program memory map from parsed hex records.
+     * Data must land between PRG_START_ADD (above the bootloader) and the end of program memory,
+     * and no two records may write the same address.
+     * @param {object[]} hexSet - Parsed hex records (see parseFile)
+     * @returns {{image: Uint8Array, used: Uint32Array, maxAddress: number, startAddress: number | null, errors: string[]}}
+     *          Image bytes (0xFF where unused), the source line number of each byte (0 where unused),
+     *          the highest address seen (-1 if none), the start address from a type 03/05 record, and any problems found
      */
-    async writeImage(firmwareFile)
+    buildMemoryMap(hexSet)
     {
-        const hexImage = new Uint8Array(this.IMAGE_SIZE);
-        let hexSet = [];
-
-        try
-        {
-            hexSet = await this.parseFile(firmwareFile);
-            if (hexSet.length === 0)
-            {
-                 throw new Error("Hex file parsing yielded no data.");
-            }
-        }
-        catch (error)
-        {
-            console.error("Error parsing hex file for writing image:", error);
-            return false;
-        }
+        const image = new Uint8Array(this.IMAGE_SIZE);
+        const used = new Uint32Array(this.IMAGE_SIZE);
+        const errors = [];
 
         // Fill image buffer with 0xFF (NOP/erased state)
-        hexImage.fill(0xFF);
+        image.fill(0xFF);
 
-        let extendedLinearAddress = 0; // For handling type 04 records
-        let maxAddress = 0; // Track highest address written
+        let upperAddress = 0; // Base address from the latest type 02 (segment) or 04 (linear) record
+        let maxAddress = -1; // Track highest address written
+        let startAddress = null;
+        let endOfFileLine = 0;
 
-        // Populate the image buffer from hex records
         for (const hexData of hexSet)
         {
-            if (hexData.recType === 0x04 && hexData.dataSize === 2)
+            if (endOfFileLine)
             {
-                extendedLinearAddress = (hexData.data[0] << 8) | hexData.data[1];
+                errors.push(`Line ${hexData.lineNumber}: record after end-of-file record (line ${endOfFileLine})`);
+                continue;
             }
-            else if (hexData.recType === 0x00)
-            {
-                let currentAddress = (extendedLinearAddress << 16) + (hexData.midAdd << 8) + hexData.lowAdd;
 
-                for (let i = 0; i < hexData.dataSize; i++)
+            switch (hexData.recType)
+            {
+                case 0x00:
                 {
-                    if (currentAddress < this.IMAGE_SIZE) // Bounds check
+                    const recordAddress = upperAddress + (hexData.midAdd << 8) + hexData.lowAdd;
+                    const recordEnd = recordAddress + hexData.dataSize - 1;
+                    const where = `0x${recordAddress.toString(16)}-0x${recordEnd.toString(16)}`;
+
+                    if (recordAddress < this.PRG_START_ADD)
                     {
-                        hexImage[currentAddress] = hexData.data[i];
-                        maxAddress = Math.max(maxAddress, currentAddress);
-                        currentAddress++;
+                        errors.push(`Line ${hexData.lineNumber}: data at ${where} is in the bootloader area (below 0x${this.PRG_START_ADD.toString(16)})`);
+                        break;
+                    }
+                    if (recordEnd >= this.IMAGE_SIZE)
+                    {
+                        errors.push(`Line ${hexData.lineNumber}: data at ${where} is outside program memory (0x${this.IMAGE_SIZE.toString(16)} bytes)`);
+                        break;
                     }
-                    else
+
+                    for (let i = 0; i < hexData.dataSize; i++)
                     {
-                         console.warn(`Hex record address ${currentAddress.toString(16)} exceeds image size ${this.IMAGE_SIZE.toString(16)}`);
-                         break;
+                        const currentAddress = recordAddress + i;
+                        if (used[currentAddress])
+                        {
+                            errors.push(`Line ${hexData.lineNumber}: data at 0x${currentAddress.toString(16)} overlaps line ${used[currentAddress]}`);
+                            break;
+                        }
+                        image[currentAddress] = hexData.data[i];
+                        used[currentAddress] = hexData.lineNumber;
+                        maxAddress = Math.max(maxAddress, currentAddress);
                     }
+                    break;
                 }
-            }
-            else if (hexData.recType === 0x01)
-            {
-                 break; // End of File record
-            }
-        }
 
-        // Determine actual data range to write
-        const startWriteAddress = this.PRG_START_ADD;
-        const endWriteAddress = maxAddress;
-        const totalBytesToWrite = endWriteAddress >= startWriteAddress ? (endWriteAddress - startWriteAddress + 1) : 0;
+                case 0x01:
+                    endOfFileLine = hexData.lineNumber; // End of File record
+                    break;
 
-        if (totalBytesToWrite <= 0)
-        {
-            console.warn("No data found within the programmable range to write.");
-            return true; // Successful if nothing needed writing
-        }
+                case 0x02: // Extended segment address (paragraph, x16)
+                    upperAddress = ((hexData.data[0] << 8) | hexData.data[1]) << 4;
+                    break;
 
-        const bufferCnt = Math.floor(totalBytesToWrite / this.BUFFER_SIZE);
-        const remCount = totalBytesToWrite % this.BUFFER_SIZE;
-        const buffer = new Uint8Array(this.BUFFER_SIZE);
-        let imgIndex = startWriteAddress;
-        let currentDeviceAddress = startWriteAddress;
+                case 0x03: // Start segment address (CS:IP)
+                    startAddress = (((hexData.data[0] << 8) | hexData.data[1]) << 4) + ((hexData.data[2] << 8) | hexData.data[3]);
+                    break;
 
-        // Process all complete buffers
-        for (let bc = 0; bc < bufferCnt; bc++)
-        {
-            buffer.set(hexImage.subarray(imgIndex, imgIndex + this.BUFFER_SIZE));
-            imgIndex += this.BUFFER_SIZE;
+                case 0x04: // Extended linear address (upper 16 bits)
+                    upperAddress = ((hexData.data[0] << 8) | hexData.data[1]) * 0x10000;
+                    break;
 
-            const { highAdd, midAdd, lowAdd } = this.getAddressBytes(currentDeviceAddress);
-            if (!await this.writeCommandPacket(this.CMD_PROGRAM_MEM_BLOCK, highAdd, midAdd, lowAdd, buffer))
-            {
-                console.error(`Failed to write program block at address ${currentDeviceAddress.toString(16)}`);
-                return false; // Abort on failure
+                case 0x05: // Start linear address
+                    startAddress = ((hexData.data[0] << 24) | (hexData.data[1] << 16) | (hexData.data[2] << 8) | hexData.data[3]) >>> 0;
+                    break;
             }
-            currentDeviceAddress += this.BUFFER_SIZE;
         }
 
-        // Write last remainder block if there is one
-        if (remCount > 0)
+        if (!endOfFileLine)
         {
-            buffer.fill(0xFF); // Fill remainder buffer first
-            const remainderData = hexImage.subarray(imgIndex, imgIndex + remCount);
-            buffer.set(remainderData); // Copy into the start of the buffer
-
-            const { highAdd, midAdd, lowAdd } = this.getAddressBytes(currentDeviceAddress);
-            if (!await this.writeCommandPacket(this.CMD_PROGRAM_MEM_BLOCK, highAdd, midAdd, lowAdd, buffer)) // Send the partially filled buffer
-            {
-                 console.error(`Failed to write final program block at address ${currentDeviceAddress.toString(16)}`);
-                 return false; // Abort on failure
-            }
+            errors.push("Missing end-of-file record (file may be truncated)");
         }
 
-        console.log("Firmware image write completed.");
-        return true;
+        return { image, used, maxAddress, startAddress, errors };
     }
 
     /**
-     * Write mode byte to device
-     * @param {number} mode - The mode value (e.g., RUN_MODE, PROG_MODE)
-     * @returns {Promise<boolean>} True on success, false on failure
+     * Choose which program memory blocks to send: every block from the start of the application area to the
+     * last byte of the image, blank ones included. The bootloader has no program memory erase command and
+     * how it erases a row on a block write isn't documented, so a blank block that was left out could keep
+     * the old firmware; sending it writes the erased state (0xFF) there, as the original interface did.
+     * @param {{maxAddress: number}} memoryMap - Memory map from buildMemoryMap
+     * @returns {{blocks: number[]}} Block start addresses to write
      */
-    async writeMode(mode)
+    planProgramBlocks(memoryMap)
     {
-        const block = new Uint8Array([mode]); // Create array with the mode byte
-        if (!await this.writeCommandPacket(this.CMD_SET_MODE, 0, 0, 0, block))
+        const blocks = [];
+        for (let blockStart = this.PRG_START_ADD; blockStart <= memoryMap.maxAddress; blockStart += this.BUFFER_SIZE)
         {
-             console.error(`Failed to set mode to ${mode}`);
-             return false;
+            blocks.push(blockStart);
         }
-        console.log(`Mode set to ${mode}`);
-        return true;
+        return { blocks };
+    }
+
+    /**
+     * Load, strictly validate and map a HEX file. Nothing is sent to the device.
+     * @param {string} firmwareFile - URL path to the HEX file
+     * @param {{sha256: string | null, size: number | null} | null} [expected] - Published size and digest of the file
+     * @returns {Promise<{memoryMap: object | null, errors: string[], source: {size: number, sha256: string} | null}>} The memory map
+     *          (see buildMemoryMap), or null with the list of problems if the file must not be programmed, and the size
+     *          and digest of the file as downloaded
+     */
+    async loadHexImage(firmwareFile, expected = null)
+    {
+        const { hexSet, errors, source } = await this.parseFile(firmwareFile, expected);
+        if (errors.length > 0)
+        {
+            return { memoryMap: null, errors, source };
+        }
+
+        const memoryMap = this.buildMemoryMap(hexSet);
+        if (memoryMap.errors.length > 0)
+        {
+            return { memoryMap: null, errors: memoryMap.errors, source };
+        }
+        return { memoryMap, errors: [], source };
+    }
+
+    /**
+     * Write firmware image from a HEX file to the device's program memory.
+     * The whole file is validated first, then sent block by block (see planProgramBlocks).
+     * @param {string} firmwareFile - URL path to the HEX file
+     * @param {{sha256: string | null, size: number | null} | null} [expected] - Published size and digest; a mismatch stops the write
+     * @param {AbortSignal | null} [signal] - Stops the write before the next block once aborted
+     * @param {object | null} [image] - The file as already loaded by loadHexImage, so it isn't downloaded again
+     * @returns {Promise<{success: boolean, cancelled?: boolean, blocksWritten: number, blocksPlanned: number, errors: string[],
+     *          source: {size: number, sha256: string} | null}>} Outcome, block counts, any validation or integrity problems that
+     *          stopped the write, and the size and digest of the file the blocks were taken from
+     */
+    async writeImage(firmwareFile, expected = null, signal = null, image = null)
+    {
+        const { memoryMap, errors, source } = image || await this.loadHexImage(firmwareFile, expected);
+        if (!memoryMap)
+        {
+            console.error(`Hex file ${firmwareFile} rejected:`, errors);
+            return { success: false, blocksWritten: 0, blocksPlanned: 0, errors, source };
+        }
+
+        const plan = this.planProgramBlocks(memoryMap);
+
+        if (plan.blocks.length === 0)
+        {
+            console.warn("No data found within the programmable range to write.");
+            return { success: true, blocksWritten: 0, blocksPlanned: 0, errors: [], source }; // Successful if nothing needed writing
+        }
+
+        const buffer = new Uint8Array(this.BUFFER_SIZE);
+        let blocksWritten = 0;
+        this.startProgress("firmware", plan.blocks.length * this.BUFFER_SIZE, this.BUFFER_SIZE);
+
+        for (const blockAddress of plan.blocks)
+        {
+            if (signal && signal.aborted)
+            {
+                console.warn(`Firmware write cancelled after ${blocksWritten} of ${plan.blocks.length} blocks.`);
+                return { success: false, cancelled: true, blocksWritten, blocksPlanned: plan.blocks.length, errors: [], source };
+            }
+            buffer.set(memoryMap.image.subarray(blockAddress, blockAddress + this.BUFFER_SIZE));
+
+            const { highAdd, midAdd, lowAdd } = this.getAddressBytes(blockAddress);
+            if (!await this.writeCommandPacket(this.CMD_PROGRAM_MEM_BLOCK, highAdd, midAdd, lowAdd, buffer))
+            {
+                console.error(`Failed to write program block at address ${blockAddress.toString(16)}`);
+                return { success: false, blocksWritten, blocksPlanned: plan.blocks.length, errors: [], source }; // Abort on failure
+            }
+            blocksWritten++;
+            this.advanceProgress("firmware", this.BUFFER_SIZE);
+        }
+
+        console.log(`Firmware image write completed: ${blocksWritten} blocks written.`);
+        return { success: true, blocksWritten, blocksPlanned: plan.blocks.length, errors: [], source };
+    }
+
+    /**
+     * Write mode byte to device
+     * @param {number} mode - The mode value (e.g., RUN_MODE, PROG_MODE)
+     * @returns {Promise<boolean>} True on success, false on failure
+     */
+    async writeMode(mode)
+    {
+        const block = new Uint8Array([mode]); // Create array with the mode byte
+        this.startProgress("mode", 1, 1);
+        if (!await this.writeCommandPacket(this.CMD_SET_MODE, 0, 0, 0, block))
+        {
+             console.error(`Failed to set mode to ${mode}`);
+             return false;
+        }
+        this.advanceProgress("mode", 1);
+        console.log(`Mode set to ${mode}`);
+        return true;
+    }
+
+    /**
+     * Clear the external EEPROM write protection so pages can be erased/written
+     * @returns {Promise<boolean>} True on success, false on failure
+     */
+    async clearEepromProtection()
+    {
+        if (!await this.writeCommandPacket(this.CMD_EEPROM_CLEAR_PROTECTION, 0, 0, 0, null))
+        {
+            console.error("Failed to clear EEPROM protection.");
+            return false;
+        }
+        return true;
     }
 
     /**
      * Erase a voice bank (assumed 1MB) in external EEPROM
      * @param {number} bankOffset - Starting address of the bank (e.g., 0x100000)
-     * @returns {Promise<boolean>} True on success, false on failure
+     * @param {AbortSignal | null} [signal] - Stops the erase before the next 64K block once aborted
+     * @returns {Promise<boolean>} True on success, false on failure or cancellation
      */
-    async eraseVoiceBank(bankOffset)
+    async eraseVoiceBank(bankOffset, signal = null)
     {
         console.log(`Starting erase for bank at 0x${bankOffset.toString(16)}`);
         // 1. Clear write protection (if required by device for erase)
@@ -657,10 +1204,16 @@ class PicUsbInterface
 
         let addPtr = bankOffset;
         const blocksToErase = this.EEPROM_VOICE_BANK_SIZE / this.EEPROM_BLOCK_SIZE;
+        this.startProgress("erase", this.EEPROM_VOICE_BANK_SIZE, this.EEPROM_BLOCK_SIZE);
 
         // 2. Erase block by block
         for (let i = 0; i < blocksToErase; i++)
         {
+            if (signal && signal.aborted)
+            {
+                console.warn(`Voice bank erase cancelled after ${i} of ${blocksToErase} blocks.`);
+                return false;
+            }
             const { highAdd, midAdd, lowAdd } = this.getAddressBytes(addPtr);
             console.log(`Erasing block ${i + 1}/${blocksToErase} at 0x${addPtr.toString(16)}...`);
 
@@ -669,6 +1222,7 @@ class PicUsbInterface
                 console.error(`Failed to erase EEPROM block at address 0x${addPtr.toString(16)}`);
                 return false; // Abort on single block failure
             }
+            this.advanceProgress("erase", this.EEPROM_BLOCK_SIZE);
             addPtr += this.EEPROM_BLOCK_SIZE; // Increment to next 64K block boundary
         }
         console.log(`Voice bank erase completed for offset 0x${bankOffset.toString(16)}.`);
@@ -676,40 +1230,45 @@ class PicUsbInterface
     }
 
     /**
-     * Write the count of voice banks/phrases to the configuration area
-     * Assumes config is in the first sector (0x000000)
-     * @param {number} count - The count value to write
-     * @returns {Promise<boolean>} True on success, false on failure
+     * Read both configuration blocks from the first sector (0x000000)
+     * @returns {Promise<Uint8Array | null>} The two blocks back to back (64 bytes), or null on failure
      */
-    async writeVoiceBankCount(count)
+    async readConfigBlocks()
     {
-        const configBlock1 = new Uint8Array(this.EEPROM_CONFIG_BLOCK_SIZE);
-        const configBlock2 = new Uint8Array(this.EEPROM_CONFIG_BLOCK_SIZE); // Assuming two blocks for config
+        const config = new Uint8Array(this.EEPROM_CONFIG_BLOCK_SIZE * 2);
 
-        try
+        console.log("Reading existing configuration blocks...");
+        // Read Block 1 - Send command, then check response
+        if (!await this.writeCommandPacket(this.CMD_READ_EEPROM_PAGE, 0x00, 0x00, 0x00, null))
         {
-            console.log("Reading existing configuration blocks...");
-            // Read Block 1 - Send command, then check response
-            if (!await this.writeCommandPacket(this.CMD_READ_EEPROM_PAGE, 0x00, 0x00, 0x00, null))
-            {
-                 throw new Error("Failed to send read command for config block 1");
-            }
-            // The response data is now in this.packet due to writeCommandPacket's internal read
-            configBlock1.set(this.packet.subarray(this.PACKET_HEADER_SIZE, this.PACKET_HEADER_SIZE + this.EEPROM_CONFIG_BLOCK_SIZE));
-
-            // Read Block 2
-            if (!await this.writeCommandPacket(this.CMD_READ_EEPROM_PAGE, 0x00, 0x00, this.EEPROM_CONFIG_BLOCK_SIZE, null))
-            {
-                  throw new Error("Failed to send read command for config block 2");
-            }
-            configBlock2.set(this.packet.subarray(this.PACKET_HEADER_SIZE, this.PACKET_HEADER_SIZE + this.EEPROM_CONFIG_BLOCK_SIZE));
+             console.error("Failed to send read command for config block 1");
+             return null;
+        }
+        // The response data is now in this.packet due to writeCommandPacket's internal read
+        config.set(this.packet.subarray(this.PACKET_HEADER_SIZE, this.PACKET_HEADER_SIZE + this.EEPROM_CONFIG_BLOCK_SIZE), 0);
 
-            console.log("Configuration blocks read.");
+        // Read Block 2
+        if (!await this.writeCommandPacket(this.CMD_READ_EEPROM_PAGE, 0x00, 0x00, this.EEPROM_CONFIG_BLOCK_SIZE, null))
+        {
+              console.error("Failed to send read command for config block 2");
+              return null;
+        }
+        config.set(this.packet.subarray(this.PACKET_HEADER_SIZE, this.PACKET_HEADER_SIZE + this.EEPROM_CONFIG_BLOCK_SIZE), this.EEPROM_CONFIG_BLOCK_SIZE);
 
-            // Update the voice bank count parameter
-            configBlock1[this.EEPROM_CONFIG_BLOCK_SIZE - 1] = count;
-            console.log(`Updating voice bank count parameter to: ${count}`);
+        console.log("Configuration blocks read.");
+        this.unitConfig = config.slice();
+        return config;
+    }
 
+    /**
+     * Erase the configuration sector (0x000000) and write both configuration blocks back
+     * @param {Uint8Array} config - The two blocks back to back (64 bytes)
+     * @returns {Promise<boolean>} True on success, false on failure
+     */
+    async writeConfigBlocks(config)
+    {
+        try
+        {
             // Erase the configuration sector
             console.log("Clearing protection and erasing config sector (0x000000)...");
             if (!await this.writeCommandPacket(this.CMD_EEPROM_CLEAR_PROTECTION, 0, 0, 0, null))
@@ -724,14 +1283,58 @@ class PicUsbInterface
 
             // Write back the updated configuration blocks
             console.log("Writing updated configuration blocks back...");
-            if (!await this.writeCommandPacket(this.CMD_WRITE_EEPROM_PAGE, 0x00, 0x00, 0x00, configBlock1))
+            this.startProgress("config", this.EEPROM_CONFIG_BLOCK_SIZE * 2, this.EEPROM_CONFIG_BLOCK_SIZE);
+            if (!await this.writeCommandPacket(this.CMD_WRITE_EEPROM_PAGE, 0x00, 0x00, 0x00, config.subarray(0, this.EEPROM_CONFIG_BLOCK_SIZE)))
             {
                   throw new Error("Failed to write updated config block 1.");
             }
-            if (!await this.writeCommandPacket(this.CMD_WRITE_EEPROM_PAGE, 0x00, 0x00, this.EEPROM_CONFIG_BLOCK_SIZE, configBlock2))
+            this.advanceProgress("config", this.EEPROM_CONFIG_BLOCK_SIZE);
+            if (!await this.writeCommandPacket(this.CMD_WRITE_EEPROM_PAGE, 0x00, 0x00, this.EEPROM_CONFIG_BLOCK_SIZE, config.subarray(this.EEPROM_CONFIG_BLOCK_SIZE)))
             {
                   throw new Error("Failed to write updated config block 2.");
             }
+            this.advanceProgress("config", this.EEPROM_CONFIG_BLOCK_SIZE);
+            this.unitConfig = config.slice();
+            return true;
+        }
+        catch (error)
+        {
+            console.error("Error writing configuration blocks:", error);
+            return false;
+        }
+    }
+
+    /**
+     * Write the count of voice banks/phrases to the configuration area
+     * Assumes config is in the first sector (0x000000)
+     * @param {number} count - The count value to write
+     * @param {AbortSignal | null} [signal] - Checked before the config sector is erased; once it is, the write always completes
+     * @returns {Promise<boolean>} True on success, false on failure or cancellation
+     */
+    async writeVoiceBankCount(count, signal = null)
+    {
+        try
+        {
+            const config = await this.readConfigBlocks();
+            if (config === null)
+            {
+                 throw new Error("Failed to read configuration blocks");
+            }
+
+            if (signal && signal.aborted)
+            {
+                console.warn("Voice bank count update cancelled, config left as it was.");
+                return false;
+            }
+
+            // Update the voice bank count parameter (last byte of block 1)
+            config[this.EEPROM_CONFIG_BLOCK_SIZE - 1] = count;
+            console.log(`Updating voice bank count parameter to: ${count}`);
+
+            if (!await this.writeConfigBlocks(config))
+            {
+                 throw new Error("Failed to write configuration blocks");
+            }
 
             console.log("Voice bank count updated successfully.");
             return true;
@@ -744,16 +1347,140 @@ class PicUsbInterface
     }
 
     /**
-     * Write a single voice map entry (start/end address)
-     * @param {number} index - The voice index (0-based)
+     * Read a single 32-byte page from the external EEPROM
+     * @param {number} address - EEPROM address to read from
+     * @returns {Promise<Uint8Array | null>} Copy of the page data, or null on failure
+     */
+    async readEepromPage(address)
+    {
+        const { highAdd, midAdd, lowAdd } = this.getAddressBytes(address);
+        if (!await this.writeCommandPacket(this.CMD_READ_EEPROM_PAGE, highAdd, midAdd, lowAdd, null))
+        {
+            console.error(`Failed to read EEPROM page at address 0x${address.toString(16)}`);
+            return null;
+        }
+        // The response data is now in this.packet due to writeCommandPacket's internal read
+        return this.packet.slice(this.PACKET_HEADER_SIZE, this.PACKET_HEADER_SIZE + this.BUFFER_SIZE);
+    }
+
+    /**
+     * Read a range of the external EEPROM page by page
+     * @param {number} address - First EEPROM address to read
+     * @param {number} length - Number of bytes to read
+     * @returns {Promise<Uint8Array | null>} The data, or null on failure
+     */
+    async readEepromRange(address, length)
+    {
+        const data = new Uint8Array(length);
+        for (let offset = 0; offset < length; offset += this.BUFFER_SIZE)
+        {
+            const page = await this.readEepromPage(address + offset);
+            if (page === null)
+            {
+                return null;
+            }
+            data.set(page.subarray(0, Math.min(this.BUFFER_SIZE, length - offset)), offset);
+        }
+        return data;
+    }
+
+    /**
+     * Erase every 64K block covering a range of the external EEPROM (clears protection first)
+     * @param {number} address - First EEPROM address (must be on a 64K block boundary)
+     * @param {number} length - Number of bytes to erase (rounded up to whole blocks)
+     * @returns {Promise<boolean>} True on success, false on failure
+     */
+    async eraseEepromRange(address, length)
+    {
+        if (address % this.EEPROM_BLOCK_SIZE !== 0)
+        {
+            console.error(`Erase range must start on a block boundary: 0x${address.toString(16)}`);
+            return false;
+        }
+        if (!await this.clearEepromProtection())
+        {
+            return false;
+        }
+
+        this.startProgress("erase", Math.ceil(length / this.EEPROM_BLOCK_SIZE) * this.EEPROM_BLOCK_SIZE, this.EEPROM_BLOCK_SIZE);
+        for (let addPtr = address; addPtr < address + length; addPtr += this.EEPROM_BLOCK_SIZE)
+        {
+            const { highAdd, midAdd, lowAdd } = this.getAddressBytes(addPtr);
+            if (!await this.writeCommandPacket(this.CMD_ERASE_EEPROM_BLOCK, highAdd, midAdd, lowAdd, null))
+            {
+                console.error(`Failed to erase EEPROM block at address 0x${addPtr.toString(16)}`);
+                return false;
+            }
+            this.advanceProgress("erase", this.EEPROM_BLOCK_SIZE);
+        }
+        return true;
+    }
+
+    /**
+     * Write a range of previously erased external EEPROM. Pages that are entirely 0xFF are
+     * already in the erased state and are not sent.
+     * @param {number} address - First EEPROM address to write
+     * @param {Uint8Array} data - The data to write
+     * @returns {Promise<boolean>} True on success, false on failure
+     */
+    async writeEepromRange(address, data)
+    {
+        for (let offset = 0; offset < data.length; offset += this.BUFFER_SIZE)
+        {
+            const chunk = data.subarray(offset, offset + this.BUFFER_SIZE);
+            if (chunk.every((b) => b === 0xFF)) continue;
+
+            const { highAdd, midAdd, lowAdd } = this.getAddressBytes(address + offset);
+            if (!await this.writeCommandPacket(this.CMD_WRITE_EEPROM_PAGE, highAdd, midAdd, lowAdd, chunk))
+            {
+                console.error(`Failed to write EEPROM page at address 0x${(address + offset).toString(16)}`);
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Compare the leading bytes of a read-back page against expected data
+     * @param {Uint8Array} expected - The bytes that should be present
+     * @param {Uint8Array} actual - The bytes read back from the device
+     * @returns {boolean} True if every expected byte matches
+     */
+    bytesMatch(expected, actual)
+    {
+        if (actual.length < expected.length) return false;
+        for (let i = 0; i < expected.length; i++)
+        {
+            if (expected[i] !== actual[i]) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Check whether writing a page again can turn its current contents into the wanted bytes.
+     * A page write can only clear bits (1 -> 0); setting a bit back to 1 needs the whole block erased.
+     * @param {Uint8Array} wanted - The bytes that should be present
+     * @param {Uint8Array} current - The bytes read back from the device
+     * @returns {boolean} True if no wanted bit is 1 where the current bit is 0
+     */
+    canRewriteInPlace(wanted, current)
+    {
+        if (current.length < wanted.length) return false;
+        for (let i = 0; i < wanted.length; i++)
+        {
+            if ((current[i] & wanted[i]) !== wanted[i]) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Build the 6-byte map entry (little-endian start/end addresses) for a voice
      * @param {number} startAdd - Start address of the voice data
      * @param {number} endAdd - End address of the voice data
-     * @param {number} mapBaseOffset - Base address where the map starts (e.g., bank offset)
-     * @returns {Promise<boolean>} True on success, false on failure
+     * @returns {Uint8Array} The encoded map entry
      */
-    async writeVoiceMapEntry(index, startAdd, endAdd, mapBaseOffset)
+    buildVoiceMapEntry(startAdd, endAdd)
     {
-        const mapEntryAddress = mapBaseOffset + (index * this.EEPROM_VOICE_MAP_ENTRY_SIZE);
         const dataBlock = new Uint8Array(this.EEPROM_VOICE_MAP_ENTRY_SIZE);
 
         dataBlock.fill(0xff); // Fill block with 0xFF initially
@@ -770,6 +1497,22 @@ class PicUsbInterface
         dataBlock[4] = endMid;
         dataBlock[5] = endHigh;
 
+        return dataBlock;
+    }
+
+    /**
+     * Write a single voice map entry (start/end address)
+     * @param {number} index - The voice index (0-based)
+     * @param {number} startAdd - Start address of the voice data
+     * @param {number} endAdd - End address of the voice data
+     * @param {number} mapBaseOffset - Base address where the map starts (e.g., bank offset)
+     * @returns {Promise<boolean>} True on success, false on failure
+     */
+    async writeVoiceMapEntry(index, startAdd, endAdd, mapBaseOffset)
+    {
+        const mapEntryAddress = mapBaseOffset + (index * this.EEPROM_VOICE_MAP_ENTRY_SIZE);
+        const dataBlock = this.buildVoiceMapEntry(startAdd, endAdd);
+
         // Get address bytes for writing the map entry itself
         const { highAdd: mapHigh, midAdd: mapMid, lowAdd: mapLow } = this.getAddressBytes(mapEntryAddress);
 
@@ -779,6 +1522,7 @@ class PicUsbInterface
             {
                  throw new Error(`Failed writing voice map entry at index ${index} (address 0x${mapEntryAddress.toString(16)})`);
             }
+            this.advanceProgress("map", this.EEPROM_VOICE_MAP_ENTRY_SIZE);
             return true;
         }
         catch (error)
@@ -789,53 +1533,175 @@ class PicUsbInterface
     }
 
     /**
-     * Fetch a voice file (binary) and write it to the device EEPROM
+     * Read back a voice map entry and rewrite it if it does not match and only needs bits cleared
+     * @param {number} index - The voice index (0-based)
+     * @param {number} startAdd - Expected start address of the voice data
+     * @param {number} endAdd - Expected end address of the voice data
+     * @param {number} mapBaseOffset - Base address where the map starts (e.g., bank offset)
+     * @returns {Promise<{success: boolean, mismatched: boolean, needsErase: boolean}>} Whether the entry is now correct, whether it
+     *          had to be rewritten, and whether it can only be fixed by erasing the bank
+     */
+    async verifyVoiceMapEntry(index, startAdd, endAdd, mapBaseOffset)
+    {
+        const mapEntryAddress = mapBaseOffset + (index * this.EEPROM_VOICE_MAP_ENTRY_SIZE);
+        const expected = this.buildVoiceMapEntry(startAdd, endAdd);
+
+        const readBack = await this.readEepromPage(mapEntryAddress);
+        if (readBack === null)
+        {
+            return { success: false, mismatched: false, needsErase: false };
+        }
+        if (this.bytesMatch(expected, readBack))
+        {
+            return { success: true, mismatched: false, needsErase: false };
+        }
+        if (!this.canRewriteInPlace(expected, readBack))
+        {
+            console.error(`Voice map entry ${index} at 0x${mapEntryAddress.toString(16)} needs bits set again; only erasing the bank can fix it.`);
+            return { success: false, mismatched: true, needsErase: true };
+        }
+
+        console.warn(`Voice map entry ${index} mismatch at 0x${mapEntryAddress.toString(16)}, rewriting.`);
+        if (!await this.writeVoiceMapEntry(index, startAdd, endAdd, mapBaseOffset))
+        {
+            return { success: false, mismatched: true, needsErase: false };
+        }
+        const reread = await this.readEepromPage(mapEntryAddress);
+        return { success: reread !== null && this.bytesMatch(expected, reread), mismatched: true, needsErase: false };
+    }
+
+    /**
+     * Read and decode the voice map of a bank
+     * @param {number} bankOffset - Starting address of the bank (the map starts here)
+     * @returns {Promise<{index: number, startAdd: number, endAdd: number, valid: boolean}[] | null>}
+     *          Every programmed (not erased) map entry, or null on read failure. Entries whose
+     *          addresses fall outside the bank's data area are flagged as not valid.
+     */
+    async readVoiceMap(bankOffset)
+    {
+        const mapData = await this.readEepromRange(bankOffset, this.EEPROM_VOICE_MAP_OFFSET);
+        if (mapData === null)
+        {
+            return null;
+        }
+
+        const entries = [];
+        const maxEntries = Math.floor(this.EEPROM_VOICE_MAP_OFFSET / this.EEPROM_VOICE_MAP_ENTRY_SIZE);
+        const dataStart = bankOffset + this.EEPROM_VOICE_MAP_OFFSET;
+        const dataEnd = bankOffset + this.EEPROM_VOICE_BANK_SIZE - 1;
+
+        for (let index = 0; index < maxEntries; index++)
+        {
+            const entry = mapData.subarray(index * this.EEPROM_VOICE_MAP_ENTRY_SIZE, (index + 1) * this.EEPROM_VOICE_MAP_ENTRY_SIZE);
+            if (entry.every((b) => b === 0xff)) continue; // Erased, no phrase at this index
+
+            const startAdd = entry[0] | (entry[1] << 8) | (entry[2] << 16);
+            const endAdd = entry[3] | (entry[4] << 8) | (entry[5] << 16);
+            const valid = startAdd >= dataStart && endAdd <= dataEnd && endAdd >= startAdd;
+            entries.push({ index, startAdd, endAdd, valid });
+        }
+        return entries;
+    }
+
+    /**
+     * Fetch a binary voice file
      * @param {string} voiceFileUrl - URL path to the binary voice file
-     * @param {number} startAddress - Address in EEPROM to start writing the file data
-     * @returns {Promise<number>} The number of bytes written, or 0 on failure
+     * @returns {Promise<Uint8Array | null>} The file contents, or null on failure
      */
-    async writeVoiceFile(voiceFileUrl, startAddress)
+    async fetchVoiceFile(voiceFileUrl)
     {
         try
         {
-            // Fetch binary audio file
-            const response = await fetch(voiceFileUrl);
+            const response = await fetchResource(voiceFileUrl);
             if (!response.ok)
             {
                 throw new Error(`Failed to fetch voice file: ${response.statusText} (URL: ${voiceFileUrl})`);
             }
 
             const arrayBuffer = await response.arrayBuffer();
-            const fileData = new Uint8Array(arrayBuffer);
-            const length = fileData.length;
+            return new Uint8Array(arrayBuffer);
+        }
+        catch (error)
+        {
+            console.error(`Error fetching voice file ${voiceFileUrl}:`, error);
+            return null;
+        }
+    }
 
-            if (length === 0)
-            {
-                console.warn(`Voice file is empty: ${voiceFileUrl}`);
-                return 0; // Nothing to write
-            }
+    /**
+     * Write one chunk of voice data, padded to a full buffer with the erased state
+     * @param {number} address - EEPROM address of the chunk
+     * @param {Uint8Array} chunkData - Up to BUFFER_SIZE bytes of voice data
+     * @returns {Promise<boolean>} True on success, false on failure
+     */
+    async writeVoicePage(address, chunkData)
+    {
+        const block = new Uint8Array(this.BUFFER_SIZE); // Use standard buffer size for writes
+        block.fill(0xFF); // Erased state for padding
+        block.set(chunkData); // Copy chunk data to start of buffer
 
-            let addPtr = startAddress;
+        const { highAdd, midAdd, lowAdd } = this.getAddressBytes(address);
+        return await this.writeCommandPacket(this.CMD_WRITE_EEPROM_PAGE, highAdd, midAdd, lowAdd, block); // Send full buffer
+    }
+
+    /**
+     * Fetch a voice file (binary) and write it to the device EEPROM
+     * @param {string} voiceFileUrl - URL path to the binary voice file
+     * @param {number} startAddress - Address in EEPROM to start writing the file data
+     * @param {number} [endLimit] - Last address the file may occupy; larger files are refused
+     * @param {{sha256: string | null, size: number | null} | null} [expected] - Published size and digest; a mismatch stops the write
+     * @param {AbortSignal | null} [signal] - Stops the write before the next page once aborted
+     * @param {Uint8Array | null} [data] - The file contents if the caller already has them (otherwise fetched from voiceFileUrl)
+     * @returns {Promise<number>} The number of bytes written, or 0 on failure or cancellation
+     */
+    async writeVoiceFile(voiceFileUrl, startAddress, endLimit = Infinity, expected = null, signal = null, data = null)
+    {
+        try
+        {
+            // Fetch binary audio file
+            const fileData = data || await this.fetchVoiceFile(voiceFileUrl);
+            if (fileData === null)
+            {
+                throw new Error(`Failed to fetch voice file (URL: ${voiceFileUrl})`);
+            }
+            const integrityError = await checkFileIntegrity(fileData, expected);
+            if (integrityError)
+            {
+                throw new Error(`Voice file ${voiceFileUrl} rejected: ${integrityError}`);
+            }
+            const length = fileData.length;
+
+            if (length === 0)
+            {
+                console.warn(`Voice file is empty: ${voiceFileUrl}`);
+                return 0; // Nothing to write
+            }
+            if (startAddress + length - 1 > endLimit)
+            {
+                throw new Error(`Voice file would overrun 0x${endLimit.toString(16)} (${length} bytes at 0x${startAddress.toString(16)})`);
+            }
+
+            let addPtr = startAddress;
             let fileIndex = 0;
-            const block = new Uint8Array(this.BUFFER_SIZE); // Use standard buffer size for writes
 
             // Write data in chunks
             while (fileIndex < length)
             {
+                if (signal && signal.aborted)
+                {
+                    throw new Error(`Cancelled at 0x${addPtr.toString(16)}, ${fileIndex} of ${length} bytes written`);
+                }
                 const bytesToCopy = Math.min(this.BUFFER_SIZE, length - fileIndex);
                 const chunkData = fileData.subarray(fileIndex, fileIndex + bytesToCopy);
 
-                block.fill(0xFF); // Erased state for padding
-                block.set(chunkData); // Copy chunk data to start of buffer
-
-                const { highAdd, midAdd, lowAdd } = this.getAddressBytes(addPtr);
-                if (!await this.writeCommandPacket(this.CMD_WRITE_EEPROM_PAGE, highAdd, midAdd, lowAdd, block)) // Send full buffer
+                if (!await this.writeVoicePage(addPtr, chunkData))
                 {
                      throw new Error(`Failed to write voice data chunk at address 0x${addPtr.toString(16)}`);
                 }
 
                 addPtr += bytesToCopy; // Increment address by actual bytes written
                 fileIndex += bytesToCopy;
+                this.advanceProgress("voice", bytesToCopy, voiceFileUrl.split("/").pop());
             }
             return length; // Return total bytes written
         }
@@ -845,6 +1711,65 @@ class PicUsbInterface
             return 0; // Indicate failure
         }
     }
+
+    /**
+     * Read back a written voice file chunk by chunk, rewriting any chunk that does not match.
+     * A chunk is only rewritten if that just clears bits; one that needs bits set again stops the check
+     * straight away (needsErase), since only erasing the bank can fix it.
+     * @param {Uint8Array} fileData - The source voice data
+     * @param {number} startAddress - Address in EEPROM where the file data was written
+     * @returns {Promise<{success: boolean, pages: number, mismatched: number, repaired: number, needsErase: boolean}>} Verification summary
+     */
+    async verifyVoiceData(fileData, startAddress)
+    {
+        const result = { success: true, pages: 0, mismatched: 0, repaired: 0, needsErase: false };
+        let fileIndex = 0;
+
+        while (fileIndex < fileData.length)
+        {
+            const addPtr = startAddress + fileIndex;
+            const bytesToCompare = Math.min(this.BUFFER_SIZE, fileData.length - fileIndex);
+            // Only compare the file bytes; the 0xFF padding of the last chunk is overwritten by the next phrase
+            const expected = fileData.subarray(fileIndex, fileIndex + bytesToCompare);
+
+            const readBack = await this.readEepromPage(addPtr);
+            if (readBack === null)
+            {
+                result.success = false;
+                return result; // Can't continue without a working read path
+            }
+            result.pages++;
+
+            if (!this.bytesMatch(expected, readBack))
+            {
+                result.mismatched++;
+                if (!this.canRewriteInPlace(expected, readBack))
+                {
+                    console.error(`Voice data at 0x${addPtr.toString(16)} needs bits set again; only erasing the bank can fix it.`);
+                    result.success = false;
+                    result.needsErase = true;
+                    return result;
+                }
+                console.warn(`Voice data mismatch at 0x${addPtr.toString(16)}, rewriting page.`);
+
+                // Rewrite the chunk, then read it back once more to confirm
+                const reread = await this.writeVoicePage(addPtr, expected) ? await this.readEepromPage(addPtr) : null;
+                if (reread !== null && this.bytesMatch(expected, reread))
+                {
+                    result.repaired++;
+                }
+                else
+                {
+                    console.error(`Voice data at 0x${addPtr.toString(16)} still mismatched after rewrite.`);
+                    result.success = false;
+                }
+            }
+
+            fileIndex += bytesToCompare;
+            this.advanceProgress("verify", bytesToCompare);
+        }
+        return result;
+    }
 } // End PicUsbInterface Class
 
 
@@ -864,6 +1789,147 @@ let downloadButton = null;
 let clearButton = null;
 let statusTextArea = null;
 let voiceBankRadios = null;
+let traceCheckbox = null;
+let exportTraceButton = null;
+let replayTraceButton = null;
+let replayTraceInput = null;
+let backupButton = null;
+let restoreButton = null;
+let restoreInput = null;
+let backupRegionCheckboxes = null;
+let scanBanksButton = null;
+let validatePackButton = null;
+let exportArchiveButton = null;
+let customPackNameInput = null;
+let addAudioButton = null;
+let customAudioInput = null;
+let customClipsContainer = null;
+let buildPackButton = null;
+let exportPackButton = null;
+let browsePhrasesButton = null;
+let playAllButton = null;
+let stopPreviewButton = null;
+let phraseTableBody = null;
+let announcementInput = null;
+let speakAnnouncementButton = null;
+let openHexButton = null;
+let openVoiceFolderButton = null;
+let openVoiceArchiveButton = null;
+let localHexInput = null;
+let localVoiceFolderInput = null;
+let localVoiceArchiveInput = null;
+let localDropZone = null;
+let offlineStatusLabel = null;
+let offlineItemsList = null;
+let recacheButton = null;
+let identifyButton = null;
+let deviceIdentityList = null;
+let progressBarsContainer = null;
+let cancelButton = null;
+let deviceBadge = null;
+let stationStartButton = null;
+let stationStopButton = null;
+let stationAddButton = null;
+let stationStatusLabel = null;
+let stationLogBody = null;
+let sessionHistorySelect = null;
+let exportReportJsonButton = null;
+let exportReportHtmlButton = null;
+let clearHistoryButton = null;
+
+// Offline copy of the site, kept up to date by syncOfflineCache and served by sw.js
+const OFFLINE_CACHE_NAME = "luxe-offline"; // Must match sw.js
+const OFFLINE_APP_FILES = ["./", "index.html", "app.js", "emulator.js", "styles.css", "config.xml", "manifest.webmanifest", "icon.svg", "favicon.ico"];
+const OFFLINE_DIGEST_HEADER = "X-Offline-SHA256"; // Published digest a cached copy was checked against
+let offlineSyncRunning = false;
+
+// Number and unit building blocks the firmware chains into menu readouts
+const NUMBER_ONES = ["zero", "one", "two", "three", "four", "five", "six", "seven", "eight", "nine", "ten",
+                     "eleven", "twelve", "thirteen", "fourteen", "fifteen", "sixteen", "seventeen", "eighteen", "nineteen"];
+const NUMBER_TENS = ["", "", "twenty", "thirty", "forty", "fifty", "sixty", "seventy", "eighty", "ninety"];
+const UNIT_PHRASES = {
+    "ms": "milliseconds", "msec": "milliseconds", "millisecond": "milliseconds",
+    "s": "seconds", "sec": "seconds", "secs": "seconds", "second": "seconds",
+    "min": "minutes", "mins": "minutes", "minute": "minutes",
+    "%": "percent"
+};
+const ANNOUNCEMENT_GAP = 0.08; // Seconds of silence between chained phrases
+
+// Phrase preview state
+let previewContext = null; // AudioContext, created on first use (browsers require a user gesture)
+let previewSource = null; // Source currently playing
+let previewPhrases = []; // Phrases listed in the browser, with their table rows
+let previewGeneration = 0; // Bumped by stopPreview so a "play all" in progress knows to stop
+
+// Custom voice pack builder state
+const CUSTOM_PACK_TEMPLATE = "luxe_aire_stock_voice.xml"; // Supplies the phrase slots and any phrase not replaced
+const VOICE_SAMPLE_RATE = 8000; // Voice files are mono 8-bit unsigned samples at this rate
+let customPackTemplate = null; // Template definition (see loadVoicePackDefinition)
+let customClips = []; // Converted clips: { name, samples, index } (index is null until assigned to a slot)
+let customVoicePack = null; // Last built pack: { name, slug, phrases, files }
+
+// Published size and SHA-256 of catalog files (config.xml attributes), keyed by URL path, e.g. "firmware/x.hex"
+const catalogDigests = new Map();
+
+// Compatibility metadata of catalog files (config.xml attributes), keyed by URL path (see readCatalogMetadata)
+const catalogMetadata = new Map();
+
+// Phrase length signatures of known voice packs, keyed by pack file name (see getVoicePackSignature)
+const voicePackSignatures = new Map();
+
+// What the marker reported when it was last connected (see identifyDevice)
+let deviceIdentity = null;
+
+// Set while any device session (programming, backup, restore...) is running
+let deviceBusy = false;
+
+// Cancels the programming sequence in progress (null when none is running)
+let programmingAbort = null;
+
+// What the programming sequence has done to the marker so far (see describeProgrammingOutcome)
+let programmingOutcome = null;
+
+// Batch station: selections captured by startStation (null when the station is off), markers waiting their turn,
+// markers already done and still attached (so they aren't programmed twice), and one log entry per marker
+let stationRecipe = null;
+let stationFiles = null; // The recipe's files, loaded and checked once when the station starts (see loadSessionFiles)
+let stationQueue = [];
+let stationDone = new Set();
+let stationLog = [];
+let stationWorking = false;
+const STATION_BUSY_RETRY = 1000; // Milliseconds to wait when another device operation holds the interface
+
+// Programming session reports (see buildSessionReport), kept in browser storage as evidence for support cases
+const SESSION_HISTORY_KEY = "luxeSessionHistory";
+const SESSION_HISTORY_LIMIT = 100; // Oldest reports are dropped beyond this
+let sessionHistory = [];
+let sessionLog = null; // Status messages of the programming session in progress (null when none is running)
+
+// EEPROM backup image file: magic, 32-bit little-endian header length, JSON header (with a SHA-256 digest per region), then region data
+const BACKUP_MAGIC = "LUXEBKP1";
+
+// Voice pack archive (.lvp): magic, 32-bit little-endian manifest length, JSON manifest, then phrase data
+const VOICE_ARCHIVE_MAGIC = "LUXEVPK1";
+
+// Last recorded USB packet trace (see programDevice), ready for export
+let lastTrace = null;
+
+// Progress display: names of the phases reported by PicUsbInterface, and the pending redraw
+const PROGRESS_PHASE_LABELS = {
+    connect: "Connect",
+    mode: "Mode switch",
+    firmware: "Firmware",
+    erase: "Erase",
+    voice: "Voice data",
+    map: "Voice map",
+    verify: "Verify",
+    config: "Config"
+};
+const PROGRESS_REDRAW_INTERVAL = 200; // Milliseconds between redraws of the progress bars
+let progressRedrawTimer = null;
+
+// Voice download journal (persisted so an interrupted bank write can be resumed)
+const VOICE_JOURNAL_KEY_PREFIX = "luxeVoiceJournal_";
 
 /**
  * Updates the status text area, ensuring it scrolls to the bottom.
@@ -871,6 +1937,10 @@ let voiceBankRadios = null;
  */
 function updateTextArea(messageText)
 {
+    if (sessionLog)
+    {
+        sessionLog.push(messageText); // Kept for the session report even if the status area is cleared
+    }
     if (statusTextArea)
     {
         statusTextArea.value += messageText;
@@ -893,6 +1963,197 @@ function clearTextArea()
     }
 }
 
+/**
+ * Offers a file to the user as a download.
+ * @param {string} fileName - Suggested file name.
+ * @param {BlobPart} content - File contents.
+ * @param {string} mimeType - MIME type of the contents.
+ */
+function downloadFile(fileName, content, mimeType)
+{
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Formats a byte count for display, e.g. "12.3 KB".
+ * @param {number} bytes - The byte count.
+ * @returns {string} The formatted count.
+ */
+function formatByteCount(bytes)
+{
+    if (bytes < 1024) return `${Math.round(bytes)} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+}
+
+/**
+ * Formats a number of seconds as m:ss.
+ * @param {number} seconds - The duration.
+ * @returns {string} The formatted duration.
+ */
+function formatDuration(seconds)
+{
+    const whole = Math.max(0, Math.round(seconds));
+    return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, "0")}`;
+}
+
+/**
+ * Describes how a phase (or the whole session) is going: percentage, transfer rate and time left.
+ * @param {number} fraction - Share of the work done (0-1).
+ * @param {number} bytesPerSecond - Transfer rate, or 0 if not known yet.
+ * @param {number | null} secondsLeft - Estimated time left, or null if not known yet.
+ * @returns {string} The description.
+ */
+function describeProgress(fraction, bytesPerSecond, secondsLeft)
+{
+    if (fraction >= 1) return bytesPerSecond > 0 ? `done, ${formatByteCount(bytesPerSecond)}/s` : "done";
+
+    let text = `${Math.floor(fraction * 100)}%`;
+    if (bytesPerSecond > 0) text += `, ${formatByteCount(bytesPerSecond)}/s`;
+    if (secondsLeft !== null && isFinite(secondsLeft)) text += `, ${formatDuration(secondsLeft)} left`;
+    return text;
+}
+
+/**
+ * Handles a progress event from the device interface by scheduling a redraw of the progress bars.
+ * @param {CustomEvent} event - The event; its detail is a phase snapshot, or null when a new session starts.
+ */
+function handleProgressEvent(event)
+{
+    if (!progressBarsContainer) return;
+
+    if (event.detail === null)
+    {
+        clearTimeout(progressRedrawTimer);
+        progressRedrawTimer = null;
+        progressBarsContainer.replaceChildren();
+        return;
+    }
+    if (progressRedrawTimer === null)
+    {
+        progressRedrawTimer = setTimeout(() =>
+        {
+            progressRedrawTimer = null;
+            renderProgressBars();
+        }, PROGRESS_REDRAW_INTERVAL);
+    }
+}
+
+/**
+ * Draws an overall bar and a bar per phase from the device interface's progress state.
+ * Phases are weighed by the number of USB commands they take, which tracks time far better than bytes
+ * (erasing 64K is a single command). Rates leave out work skipped on resume.
+ */
+function renderProgressBars()
+{
+    if (!progressBarsContainer) return;
+
+    const now = performance.now();
+    const rows = [];
+    let totalSteps = 0;
+    let doneSteps = 0;
+    let skippedSteps = 0;
+    let transferredBytes = 0;
+    let sessionStart = null;
+    let sessionEnd = null; // Last finish, if every started phase has finished
+    let allFinished = true;
+
+    for (const state of deviceInterface.progress.values())
+    {
+        const fraction = state.total > 0 ? state.done / state.total : 1;
+        const isTransfer = state.total > 1 && state.phase !== "erase"; // Single steps and erasing move no data
+        let rate = 0;
+        let secondsLeft = null;
+        let text = "waiting";
+
+        if (state.startedAt !== null)
+        {
+            const elapsed = ((state.finishedAt !== null ? state.finishedAt : now) - state.startedAt) / 1000;
+            const worked = state.done - state.skipped;
+            const bytesPerSecond = elapsed > 0 ? worked / elapsed : 0;
+            rate = isTransfer ? bytesPerSecond : 0;
+            secondsLeft = bytesPerSecond > 0 ? (state.total - state.done) / bytesPerSecond : null;
+            text = describeProgress(fraction, rate, secondsLeft);
+            sessionStart = sessionStart === null ? state.startedAt : Math.min(sessionStart, state.startedAt);
+            if (isTransfer) transferredBytes += worked;
+        }
+        if (state.finishedAt === null)
+        {
+            allFinished = false;
+        }
+        else
+        {
+            sessionEnd = sessionEnd === null ? state.finishedAt : Math.max(sessionEnd, state.finishedAt);
+        }
+        rows.push({ label: PROGRESS_PHASE_LABELS[state.phase] || state.phase, fraction, text });
+
+        totalSteps += state.total / state.stepSize;
+        doneSteps += state.done / state.stepSize;
+        skippedSteps += state.skipped / state.stepSize;
+    }
+
+    // Overall: time so far scaled by the commands still to go
+    let overallText = "waiting";
+    const overallFraction = totalSteps > 0 ? doneSteps / totalSteps : 0;
+    if (sessionStart !== null)
+    {
+        const elapsed = ((allFinished && sessionEnd !== null ? sessionEnd : now) - sessionStart) / 1000;
+        const workedSteps = doneSteps - skippedSteps;
+        const secondsLeft = workedSteps > 0 ? elapsed * (totalSteps - doneSteps) / workedSteps : null;
+        overallText = describeProgress(overallFraction, elapsed > 0 ? transferredBytes / elapsed : 0, secondsLeft);
+    }
+    rows.unshift({ label: "Overall", fraction: overallFraction, text: overallText });
+
+    progressBarsContainer.replaceChildren();
+    for (const row of rows)
+    {
+        const label = document.createElement("span");
+        label.textContent = row.label;
+        const bar = document.createElement("progress");
+        bar.max = 1;
+        bar.value = row.fraction;
+        const text = document.createElement("span");
+        text.textContent = row.text;
+        progressBarsContainer.append(label, bar, text);
+    }
+}
+
+/**
+ * Announces every phase a programming session will go through, with its size, so the overall
+ * bar and time left cover the whole session from the start.
+ * @param {{firmware: object | null, voice: object | null}} files - The session's files, from loadSessionFiles.
+ */
+async function planProgrammingProgress(files)
+{
+    deviceInterface.planProgress("connect", 1, 1);
+    deviceInterface.planProgress("mode", 1, 1);
+
+    if (files.firmware && files.firmware.image.memoryMap)
+    {
+        const blocks = deviceInterface.planProgramBlocks(files.firmware.image.memoryMap).blocks.length;
+        deviceInterface.planProgress("firmware", blocks * deviceInterface.BUFFER_SIZE, deviceInterface.BUFFER_SIZE);
+    }
+
+    const bankOffset = getVoiceBankOffset();
+    if (files.voice && bankOffset !== null)
+    {
+        const layout = await planVoicePackLayout(files.voice.path, bankOffset, files.voice);
+        deviceInterface.planProgress("erase", deviceInterface.EEPROM_VOICE_BANK_SIZE, deviceInterface.EEPROM_BLOCK_SIZE);
+        deviceInterface.planProgress("voice", layout.totalBytes, deviceInterface.BUFFER_SIZE);
+        deviceInterface.planProgress("map", layout.phrases.length * deviceInterface.EEPROM_VOICE_MAP_ENTRY_SIZE, deviceInterface.EEPROM_VOICE_MAP_ENTRY_SIZE);
+        deviceInterface.planProgress("verify", layout.totalBytes, deviceInterface.BUFFER_SIZE);
+        deviceInterface.planProgress("config", deviceInterface.EEPROM_CONFIG_BLOCK_SIZE * 2, deviceInterface.EEPROM_CONFIG_BLOCK_SIZE);
+    }
+}
+
 /**
  * Populates Firmware and Voice Pack dropdowns from config.xml.
  */
@@ -917,9 +2178,13 @@ async function populateDownloads()
             fileList.forEach((file) =>
             {
                 const option = document.createElement("option");
+                const metadata = readCatalogMetadata(file);
                 option.value = file.textContent; // Use filename as value
-                option.text = file.textContent;
+                option.text = metadata ? `${file.textContent} (${describeCatalogMetadata(metadata)})` : file.textContent;
+                if (metadata && metadata.notes) option.title = metadata.notes;
                 firmwareSelect.appendChild(option);
+                recordCatalogDigest(`firmware/${file.textContent}`, file);
+                if (metadata) catalogMetadata.set(`firmware/${file.textContent}`, metadata);
             });
         }
         else
@@ -936,9 +2201,13 @@ async function populateDownloads()
             fileList.forEach((file) =>
             {
                 const option = document.createElement("option");
+                const metadata = readCatalogMetadata(file);
                 option.value = file.textContent; // Use filename as value
-                option.text = file.textContent;
+                option.text = metadata ? `${file.textContent} (${describeCatalogMetadata(metadata)})` : file.textContent;
+                if (metadata && metadata.notes) option.title = metadata.notes;
                 voicePackSelect.appendChild(option);
+                recordCatalogDigest(`voice/${file.textContent}`, file);
+                if (metadata) catalogMetadata.set(`voice/${file.textContent}`, metadata);
             });
         }
         else
@@ -953,6 +2222,253 @@ async function populateDownloads()
     }
 }
 
+/**
+ * Reads the published size and digest of a file from its sha256/size attributes, if present.
+ * @param {Element} fileElement - A <file> element of config.xml or a voice pack XML.
+ * @returns {{sha256: string | null, size: number | null} | null} The published values, or null if there are none.
+ */
+function readFileDigest(fileElement)
+{
+    const sha256 = fileElement.getAttribute("sha256");
+    const size = fileElement.getAttribute("size");
+    if (!sha256 && !size)
+    {
+        return null;
+    }
+    return { sha256: sha256 || null, size: size ? parseInt(size, 10) : null };
+}
+
+/**
+ * Remembers the published size and digest of a catalog file listed in config.xml.
+ * @param {string} url - URL path of the file.
+ * @param {Element} fileElement - Its <file> element.
+ */
+function recordCatalogDigest(url, fileElement)
+{
+    const digest = readFileDigest(fileElement);
+    if (digest)
+    {
+        catalogDigests.set(url, digest);
+    }
+}
+
+/**
+ * Reads what a catalog file is for from its model/version/language/burst/phrases/notes attributes, if present.
+ * @param {Element} fileElement - A <file> element of config.xml.
+ * @returns {{model: string | null, version: string | null, language: string | null, burst: string | null, phrases: string | null, notes: string | null} | null}
+ *          The metadata (phrases is an index list such as "0-90"), or null if the file has none.
+ */
+function readCatalogMetadata(fileElement)
+{
+    const metadata = {};
+    let found = false;
+    for (const name of ["model", "version", "language", "burst", "phrases", "notes"])
+    {
+        const value = fileElement.getAttribute(name);
+        metadata[name] = value ? value.trim() : null;
+        found = found || metadata[name] !== null;
+    }
+    return found ? metadata : null;
+}
+
+/**
+ * Summarizes catalog metadata for a dropdown entry, e.g. "Luxe 129, German, Burst 2".
+ * @param {object} metadata - Metadata from readCatalogMetadata.
+ * @returns {string} The summary.
+ */
+function describeCatalogMetadata(metadata)
+{
+    const parts = [];
+    if (metadata.model) parts.push(metadata.version ? `${metadata.model} ${metadata.version}` : metadata.model);
+    if (metadata.language) parts.push(metadata.language);
+    if (metadata.burst) parts.push(`Burst ${metadata.burst}`);
+    return parts.join(", ");
+}
+
+/**
+ * Downloads a catalog file and checks it against the size and digest published in config.xml.
+ * Files that aren't in the catalog (local or custom) have nothing to check against and pass.
+ * @param {string} url - URL path of the file.
+ * @param {{size: number, sha256: string} | null} [loaded] - Size and digest of the file as already downloaded, so it isn't fetched again.
+ * @returns {Promise<boolean>} True unless the file is missing or doesn't match.
+ */
+async function verifyCatalogFile(url, loaded = null)
+{
+    if (/^(firmware|voice)\/(local|custom)\//.test(url))
+    {
+        return true;
+    }
+    const expected = catalogDigests.get(url);
+    if (!expected)
+    {
+        updateTextArea(`Warning: config.xml has no digest for ${url}, its integrity can't be checked.\n`);
+        return true;
+    }
+
+    let integrityError;
+    if (loaded)
+    {
+        integrityError = compareFileDigest(loaded, expected);
+    }
+    else
+    {
+        const response = await fetchResource(url);
+        if (!response.ok)
+        {
+            updateTextArea(`ERROR: ${url} could not be downloaded (${response.statusText}).\n`);
+            return false;
+        }
+        integrityError = await checkFileIntegrity(new Uint8Array(await response.arrayBuffer()), expected);
+    }
+    if (integrityError)
+    {
+        updateTextArea(`ERROR: ${url}: ${integrityError}.\n`);
+        return false;
+    }
+    updateTextArea(`Integrity OK: ${url} (${expected.size !== null ? `${expected.size.toLocaleString()} bytes, ` : ""}SHA-256 ${expected.sha256 ? expected.sha256.slice(0, 12) : "not published"}).\n`);
+    return true;
+}
+
+/**
+ * Expands an index list such as "0-90" or "0-5, 8, 10-12".
+ * @param {string} text - Comma separated indexes and inclusive ranges.
+ * @returns {number[] | null} The indexes, or null if the list is malformed.
+ */
+function parseIndexRanges(text)
+{
+    const indexes = [];
+    for (const part of text.split(",").map((item) => item.trim()).filter((item) => item !== ""))
+    {
+        const match = part.match(/^(\d+)(?:\s*-\s*(\d+))?$/);
+        if (!match)
+        {
+            return null;
+        }
+        const first = parseInt(match[1], 10);
+        const last = match[2] !== undefined ? parseInt(match[2], 10) : first;
+        for (let index = first; index <= last; index++)
+        {
+            indexes.push(index);
+        }
+    }
+    return indexes;
+}
+
+/**
+ * Formats indexes as compact runs, e.g. [5, 91, 92, 93] becomes "5, 91-93".
+ * @param {number[]} indexes - The indexes, in ascending order.
+ * @returns {string} The formatted list.
+ */
+function formatIndexRanges(indexes)
+{
+    const runs = [];
+    for (let i = 0; i < indexes.length; i++)
+    {
+        let j = i;
+        while (j + 1 < indexes.length && indexes[j + 1] === indexes[j] + 1) j++;
+        runs.push(j === i ? `${indexes[i]}` : `${indexes[i]}-${indexes[j]}`);
+        i = j;
+    }
+    return runs.join(", ");
+}
+
+/**
+ * Checks whether a firmware file and a voice pack belong together, using their catalog metadata:
+ * a different model is an error, as is a voice pack lacking phrases the firmware announces;
+ * a different menu language is a warning. Files outside the catalog can only be partly checked.
+ * @param {string} firmwarePath - URL path of the firmware file, e.g. "firmware/x.hex".
+ * @param {string} voicePackXmlFile - URL path of the voice pack XML or archive.
+ * @param {object | null} [pack] - The voice pack definition if already loaded (see loadVoicePackDefinition).
+ * @returns {Promise<{errors: string[], warnings: string[], notes: string[]}>} Problems found, and what couldn't be checked.
+ */
+async function checkCompatibility(firmwarePath, voicePackXmlFile, pack = null)
+{
+    const result = { errors: [], warnings: [], notes: [] };
+    const firmwareName = firmwarePath.split("/").pop();
+    const voiceName = voicePackXmlFile.split("/").pop();
+    const firmware = catalogMetadata.get(firmwarePath) || null;
+    const voice = catalogMetadata.get(voicePackXmlFile) || null;
+
+    if (!firmware)
+    {
+        result.notes.push(`${firmwareName} has no catalog metadata; its model, language and phrase needs are unknown`);
+    }
+    if (!voice)
+    {
+        result.notes.push(`${voiceName} has no catalog metadata; its model and language are unknown`);
+    }
+
+    if (firmware && voice)
+    {
+        if (firmware.model && voice.model && firmware.model !== voice.model)
+        {
+            result.errors.push(`${voiceName} is a voice pack for ${voice.model} but ${firmwareName} is ${firmware.model} firmware`);
+        }
+        if (firmware.language && voice.language && firmware.language !== voice.language)
+        {
+            result.warnings.push(`${firmwareName} has ${firmware.language} menus but ${voiceName} is ${voice.language}`);
+        }
+    }
+
+    if (firmware && firmware.phrases)
+    {
+        const required = parseIndexRanges(firmware.phrases);
+        if (!required)
+        {
+            result.warnings.push(`config.xml lists an unreadable phrase set for ${firmwareName} ("${firmware.phrases}")`);
+            return result;
+        }
+        try
+        {
+            const definition = pack || await loadVoicePackDefinition(voicePackXmlFile);
+            const present = new Set(definition.phrases.filter((phrase) => phrase.fileName).map((phrase) => phrase.index));
+            const missing = required.filter((index) => !present.has(index));
+            if (missing.length > 0)
+            {
+                result.errors.push(`${voiceName} lacks ${missing.length} of the ${required.length} phrases ${firmwareName} announces (indexes ${formatIndexRanges(missing)})`);
+            }
+        }
+        catch (error)
+        {
+            result.errors.push(error.message);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Checks the selected firmware and voice pack against each other and prints the outcome to the status area.
+ * @param {boolean} askOnWarnings - Ask the user whether to go ahead despite warnings (used before programming).
+ * @param {object | null} [pack] - The selected voice pack's definition if already loaded.
+ * @returns {Promise<boolean>} True if there are no errors and any warnings were accepted.
+ */
+async function reportCompatibility(askOnWarnings, pack = null)
+{
+    if (!firmwareSelect || !voicePackSelect || !firmwareSelect.value || !voicePackSelect.value)
+    {
+        return true; // Nothing to pair
+    }
+
+    const result = await checkCompatibility(`firmware/${firmwareSelect.value}`, `voice/${voicePackSelect.value}`, pack);
+    result.notes.forEach((note) => updateTextArea(`Note: ${note}.\n`));
+    result.errors.forEach((error) => updateTextArea(`ERROR: ${error}.\n`));
+    result.warnings.forEach((warning) => updateTextArea(`Warning: ${warning}.\n`));
+    if (result.errors.length > 0)
+    {
+        return false;
+    }
+    if (result.warnings.length > 0 && askOnWarnings)
+    {
+        return window.confirm(`${result.warnings.join(".\n")}.\n\nProgram them together anyway?`);
+    }
+    if (result.warnings.length === 0)
+    {
+        updateTextArea("Firmware and voice pack are compatible.\n");
+    }
+    return true;
+}
+
 /**
  * Handles the change event for the firmware dropdown.
  */
@@ -968,6 +2484,21 @@ function updateFirmwareSelection()
     const firmwareFileName = firmwareSelect.value;
     firmwareCheckbox.checked = true;
     updateTextArea(`Using firmware: ${firmwareFileName}\n`);
+    showCatalogNotes(`firmware/${firmwareFileName}`);
+    reportCompatibility(false);
+}
+
+/**
+ * Prints the release notes of a catalog file, if it has any.
+ * @param {string} url - URL path of the file.
+ */
+function showCatalogNotes(url)
+{
+    const metadata = catalogMetadata.get(url);
+    if (metadata && metadata.notes)
+    {
+        updateTextArea(`  ${metadata.notes}\n`);
+    }
 }
 
 /**
@@ -977,6 +2508,8 @@ function updateVoiceSelection()
 {
     if (!voicePackSelect || !voiceCheckbox) return;
 
+    releaseVoiceArchive(voicePackSelect.value ? `voice/${voicePackSelect.value}` : null);
+
     if (voicePackSelect.value === "")
     {
         voiceCheckbox.checked = false;
@@ -1005,21 +2538,24 @@ function updateVoiceSelection()
     }
 
     updateTextArea(`Using voice pack: ${voicePackFileName}\n`);
+    showCatalogNotes(`voice/${voicePackFileName}`);
+    reportCompatibility(false);
 }
 
 /**
  * Connects to the HID device, requesting permission if needed.
+ * @param {HIDDevice | null} [targetDevice] - Marker to use when several are attached (null picks the first one found).
  * @returns {Promise<boolean>} True if connection successful, false otherwise.
  */
-async function connectDevice()
+async function connectDevice(targetDevice = null)
 {
     updateTextArea("Attempting to connect to device...\n");
     try
     {
-        // Try detecting first
-        let deviceAvailable = await deviceInterface.detectDevice();
+        // Try detecting first (unless the caller picked the marker)
+        let deviceAvailable = targetDevice ? deviceInterface.selectDevice(targetDevice) : await deviceInterface.detectDevice();
 
-        if (!deviceAvailable)
+        if (!deviceAvailable && !targetDevice)
         {
              updateTextArea("No pre-authorized device found. Please select device...\n");
              deviceAvailable = await deviceInterface.requestDevice();
@@ -1031,6 +2567,8 @@ async function connectDevice()
             if (deviceOpened)
             {
                 updateTextArea("Device connected successfully.\n");
+                deviceIdentity = await identifyDevice();
+                showDeviceIdentity(deviceIdentity);
                 return true;
             }
             else
@@ -1056,16 +2594,261 @@ async function connectDevice()
 }
 
 /**
- * Disconnects from the HID device.
- * @returns {Promise<boolean>} True if disconnected ok or already disconnected, false on error closing.
+ * Reads what the connected marker exposes: its USB product name, the config blocks (active voice bank,
+ * read from the voice bank parameter) and the voice map of every bank.
+ * The USB protocol has no command that reports the firmware version and the config blocks have no known
+ * place for it, so the software version is never known and isn't shown. The language is filled in by
+ * identifyInstalledPacks from the voice pack the marker speaks.
+ * @returns {Promise<object | null>} The identity: { productName, model, configured, activeBank, language, languageSource,
+ *          configFingerprint, banks: [{ number, offset, entries, phraseCount, invalidCount, usedBytes, pack }] },
+ *          or null if the device couldn't be read.
  */
-async function disconnectDevice()
+async function identifyDevice()
 {
-    if (deviceInterface.device && deviceInterface.device.opened)
+    const productName = deviceInterface.device ? deviceInterface.device.productName || "" : "";
+    const identity = { productName, model: null, configured: false, activeBank: null, language: null, languageSource: null,
+                       configFingerprint: null, banks: [] };
+
+    // The product name is the only model information in the USB descriptor
+    const models = new Set(Array.from(catalogMetadata.values()).map((metadata) => metadata.model).filter((model) => model));
+    identity.model = Array.from(models).find((model) => productName.toLowerCase().includes(model.toLowerCase())) || null;
+
+    const config = await deviceInterface.readConfigBlocks();
+    if (config === null)
     {
-        updateTextArea("Disconnecting device...\n");
-        const success = await deviceInterface.closeDevice();
-        if (success)
+        updateTextArea("Warning: Could not read the config blocks, the device is not identified.\n");
+        return null;
+    }
+    identity.configured = !config.every((b) => b === 0xff);
+    identity.configFingerprint = fingerprintText(Array.from(config, (b) => b.toString(16).padStart(2, "0")).join(""));
+    if (identity.configured)
+    {
+        // Voice bank parameter (last byte of block 1), with the values programVoicePack writes
+        const bankNames = { 100: "Bank 1", 110: "Bank 2", 111: "Bank 3" };
+        identity.activeBank = bankNames[config[deviceInterface.EEPROM_CONFIG_BLOCK_SIZE - 1]] || null;
+    }
+
+    const offsets = [deviceInterface.VOICE_BANK_1_OFFSET, deviceInterface.VOICE_BANK_2_OFFSET, deviceInterface.VOICE_BANK_3_OFFSET];
+    for (let i = 0; i < offsets.length; i++)
+    {
+        const entries = await deviceInterface.readVoiceMap(offsets[i]);
+        if (entries === null)
+        {
+            updateTextArea(`Warning: Could not read the voice map of Bank ${i + 1}, the device is not identified.\n`);
+            return null;
+        }
+        const valid = entries.filter((entry) => entry.valid);
+        const highestEnd = valid.reduce((max, entry) => Math.max(max, entry.endAdd), offsets[i] + deviceInterface.EEPROM_VOICE_MAP_OFFSET - 1);
+        identity.banks.push({
+            number: i + 1,
+            offset: offsets[i],
+            entries,
+            phraseCount: valid.length,
+            invalidCount: entries.length - valid.length,
+            usedBytes: highestEnd + 1 - offsets[i] - deviceInterface.EEPROM_VOICE_MAP_OFFSET,
+            pack: null // Filled in by identifyInstalledPacks
+        });
+    }
+    return identity;
+}
+
+/**
+ * Matches the voice map of every populated bank against the known voice packs.
+ * Only needs the server, so it is done after the device is released. Also fills in the model
+ * from the installed packs when the product name didn't give it away, and the language from the catalog
+ * entry of the pack in the active bank (or of every identified pack, if they agree and no bank is active).
+ * @param {object} identity - Identity from identifyDevice, updated in place.
+ */
+async function identifyInstalledPacks(identity)
+{
+    for (const bank of identity.banks)
+    {
+        const entries = bank.entries.filter((entry) => entry.valid);
+        if (entries.length === 0) continue;
+
+        const match = await identifyVoicePack(entries);
+        if (match && match.matched / match.total >= 0.9)
+        {
+            bank.pack = { name: match.pack, exact: match.matched === match.total, matched: match.matched, total: match.total };
+        }
+    }
+
+    if (!identity.model)
+    {
+        const packModels = identity.banks.filter((bank) => bank.pack)
+            .map((bank) => (catalogMetadata.get(`voice/${bank.pack.name}`) || {}).model).filter((model) => model);
+        identity.model = packModels.length > 0 ? packModels[0] : null;
+    }
+
+    const withLanguage = identity.banks.filter((bank) => bank.pack)
+        .map((bank) => ({ bank, language: (catalogMetadata.get(`voice/${bank.pack.name}`) || {}).language }))
+        .filter((item) => item.language);
+    const active = withLanguage.find((item) => `Bank ${item.bank.number}` === identity.activeBank);
+    const source = active || (!identity.activeBank && withLanguage.length > 0 &&
+                              withLanguage.every((item) => item.language === withLanguage[0].language) ? withLanguage[0] : null);
+    identity.language = source ? source.language : null;
+    identity.languageSource = source ? `${source.bank.pack.name} in Bank ${source.bank.number}` : null;
+}
+
+/**
+ * Shows the identity of the marker in the Connected Device section and on the bank gauges.
+ * @param {object | null} identity - Identity from identifyDevice, or null if the device wasn't identified.
+ */
+function showDeviceIdentity(identity)
+{
+    if (!deviceIdentityList) return;
+    deviceIdentityList.replaceChildren();
+
+    const addRow = (term, description) =>
+    {
+        const dt = document.createElement("dt");
+        dt.textContent = term;
+        const dd = document.createElement("dd");
+        dd.textContent = description;
+        deviceIdentityList.append(dt, dd);
+    };
+
+    if (!identity)
+    {
+        addRow("Device", "Not identified");
+        return;
+    }
+
+    addRow("Device", identity.productName || "Unnamed USB device");
+    addRow("Model", identity.model || "Unknown");
+    addRow("Language", identity.language ? `${identity.language} (voice pack ${identity.languageSource})` : "Unknown (no known voice pack in use)");
+    addRow("Active bank", identity.configured ? identity.activeBank || "Unknown" : "Not configured");
+    for (const bank of identity.banks)
+    {
+        let text = "Empty";
+        if (bank.entries.length > 0)
+        {
+            text = `${bank.phraseCount} phrases`;
+            if (bank.invalidCount > 0) text += `, ${bank.invalidCount} invalid map entries`;
+            if (bank.pack) text += ` - ${bank.pack.exact ? "" : "probably "}${bank.pack.name}`;
+        }
+        addRow(`Bank ${bank.number}`, text);
+        updateBankGauge(bank.number, bank.entries.length > 0 ? bank.usedBytes : 0, bank.entries.length > 0 ? "installed" : "empty");
+    }
+}
+
+/**
+ * Checks the selection against what the marker reported. Firmware or a voice pack for another model is
+ * flagged. If the catalog has the same firmware build for the marker's model and language (or, with no
+ * firmware selected, the standard build for them), the user is asked whether to select it.
+ * The selection is never changed without asking.
+ * @param {object} identity - Identity from identifyDevice (after identifyInstalledPacks).
+ */
+function applyDeviceIdentity(identity)
+{
+    const current = firmwareSelect && firmwareSelect.value ? catalogMetadata.get(`firmware/${firmwareSelect.value}`) : null;
+    const builds = firmwareSelect ? Array.from(firmwareSelect.options)
+        .map((option) => ({ value: option.value, metadata: catalogMetadata.get(`firmware/${option.value}`) }))
+        .filter((build) => build.metadata) : [];
+    const reasons = [];
+    let match = null;
+
+    if (current)
+    {
+        const wrongModel = current.model && identity.model && current.model !== identity.model;
+        const wrongLanguage = current.language && identity.language && current.language !== identity.language;
+        if (wrongModel)
+        {
+            updateTextArea(`Warning: ${firmwareSelect.value} is firmware for ${current.model} but this marker is a ${identity.model}.\n`);
+            reasons.push(`${firmwareSelect.value} is firmware for ${current.model}, but this marker is a ${identity.model}.`);
+        }
+        if (wrongLanguage)
+        {
+            updateTextArea(`Note: ${firmwareSelect.value} has ${current.language} menus but the marker speaks ${identity.language} (voice pack ${identity.languageSource}).\n`);
+            reasons.push(`${firmwareSelect.value} has ${current.language} menus, but the marker speaks ${identity.language}.`);
+        }
+        if (wrongModel || wrongLanguage)
+        {
+            const model = wrongModel ? identity.model : current.model;
+            const language = wrongLanguage ? identity.language : current.language;
+            match = builds.find((build) => build.metadata.model === model && build.metadata.language === language &&
+                                           build.metadata.version === current.version && build.metadata.burst === current.burst) || null;
+        }
+    }
+    else if (firmwareSelect && identity.model && identity.language)
+    {
+        match = builds.find((build) => build.metadata.model === identity.model && build.metadata.language === identity.language &&
+                                       !build.metadata.burst) || null;
+        if (match) reasons.push(`This is a ${identity.model} that speaks ${identity.language} (voice pack ${identity.languageSource}).`);
+    }
+
+    if (match && window.confirm(`${reasons.join("\n")}\n\nSelect ${match.value}?`))
+    {
+        firmwareSelect.value = match.value;
+        updateTextArea(`Selected ${match.value} for the ${identity.model || "connected"} marker.\n`);
+        updateFirmwareSelection();
+    }
+
+    const voice = voicePackSelect && voicePackSelect.value ? catalogMetadata.get(`voice/${voicePackSelect.value}`) : null;
+    if (voice && voice.model && identity.model && voice.model !== identity.model)
+    {
+        updateTextArea(`Warning: ${voicePackSelect.value} is a voice pack for ${voice.model} but this marker is a ${identity.model}.\n`);
+    }
+}
+
+/**
+ * Connects to the marker, reports what it is and checks the selection against it.
+ */
+async function identifyConnectedDevice()
+{
+    if (!await runDeviceSession("Device Identification", async () => deviceIdentity !== null))
+    {
+        return;
+    }
+
+    const identity = deviceIdentity;
+    await identifyInstalledPacks(identity);
+    showDeviceIdentity(identity);
+    updateTextArea(`Marker: ${identity.model || "unknown model"}, ` +
+                   (identity.configured ? `active bank ${identity.activeBank || "unknown"}` : "not configured") +
+                   (identity.language ? `, speaks ${identity.language}` : "") + "\n");
+    applyDeviceIdentity(identity);
+}
+
+/**
+ * Checks a voice pack that is programmed without firmware against the marker it is going to.
+ * @param {string} voicePackFileName - Voice pack file name (under voice/).
+ * @returns {{errors: string[], warnings: string[]}} A model mismatch is an error; a model that can't be
+ *          checked (unknown for the marker or the pack) is a warning the user has to accept.
+ */
+function checkDeviceCompatibility(voicePackFileName)
+{
+    const result = { errors: [], warnings: [] };
+    const voice = catalogMetadata.get(`voice/${voicePackFileName}`);
+    const voiceModel = voice ? voice.model : null;
+    const deviceModel = deviceIdentity ? deviceIdentity.model : null;
+    if (!voiceModel)
+    {
+        result.warnings.push(`config.xml doesn't say which model ${voicePackFileName} is for, so it can't be checked against this marker`);
+    }
+    else if (!deviceModel)
+    {
+        result.warnings.push(`This marker's model is unknown (its USB name and installed voice packs don't give it away), ` +
+                             `so it can't be confirmed that ${voicePackFileName} (${voiceModel}) suits it`);
+    }
+    else if (voiceModel !== deviceModel)
+    {
+        result.errors.push(`${voicePackFileName} is a voice pack for ${voiceModel} but this marker is a ${deviceModel}`);
+    }
+    return result;
+}
+
+/**
+ * Disconnects from the HID device.
+ * @returns {Promise<boolean>} True if disconnected ok or already disconnected, false on error closing.
+ */
+async function disconnectDevice()
+{
+    if (deviceInterface.device && deviceInterface.device.opened)
+    {
+        updateTextArea("Disconnecting device...\n");
+        const success = await deviceInterface.closeDevice();
+        if (success)
         {
              updateTextArea("Device disconnected.\n");
         }
@@ -1101,66 +2884,301 @@ function getVoiceBankSelection()
 }
 
 /**
- * Processes a voice pack XML file, writing contained voice files and map entries.
+ * Gets the starting address of the selected voice bank.
+ * @returns {number | null} The bank offset, or null if no bank is selected.
+ */
+function getVoiceBankOffset()
+{
+    const offsets = {
+        bank1: deviceInterface.VOICE_BANK_1_OFFSET,
+        bank2: deviceInterface.VOICE_BANK_2_OFFSET,
+        bank3: deviceInterface.VOICE_BANK_3_OFFSET
+    };
+    const selection = getVoiceBankSelection();
+    return selection in offsets ? offsets[selection] : null;
+}
+
+/**
+ * Computes a short FNV-1a fingerprint of a text, used to detect a changed voice pack definition.
+ * @param {string} text - The text to fingerprint.
+ * @returns {string} The fingerprint as 8 hex digits.
+ */
+function fingerprintText(text)
+{
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++)
+    {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash.toString(16).padStart(8, "0");
+}
+
+/**
+ * Describes the model of the connected device (see PicUsbInterface.describeDevice; it is the same for every Luxe).
+ * @returns {string} Vendor/product IDs and product name, or an empty string if not connected.
+ */
+function describeConnectedDevice()
+{
+    const device = deviceInterface.device;
+    if (!device) return "";
+    return deviceInterface.describeDevice(device);
+}
+
+/**
+ * Fingerprints what was read from the marker at connect, apart from the bank being written: the config blocks
+ * and the voice maps of the other banks. The marker has no serial number, so this is the closest thing to a
+ * unit identity; two markers with the same settings and the same packs in their other banks still match.
+ * @param {object | null} identity - Identity from identifyDevice.
+ * @param {number} bankOffset - The starting address of the bank being written (left out, it changes while writing).
+ * @returns {string} The fingerprint, or an empty string if the marker wasn't identified.
+ */
+function fingerprintMarkerUnit(identity, bankOffset)
+{
+    if (!identity || !identity.configFingerprint)
+    {
+        return "";
+    }
+    const maps = identity.banks.filter((bank) => bank.offset !== bankOffset)
+        .map((bank) => bank.entries.map((entry) => entry.valid ? `${entry.startAdd}-${entry.endAdd}` : "-").join(","));
+    return fingerprintText([identity.configFingerprint, ...maps].join("|"));
+}
+
+/**
+ * Loads the voice download journal for a bank from browser storage.
+ * @param {number} bankOffset - The starting address of the voice bank.
+ * @returns {object | null} The journal, or null if none exists or storage is unavailable.
+ */
+function loadVoiceJournal(bankOffset)
+{
+    try
+    {
+        const text = localStorage.getItem(VOICE_JOURNAL_KEY_PREFIX + bankOffset.toString(16));
+        return text ? JSON.parse(text) : null;
+    }
+    catch (error)
+    {
+        console.warn("Could not read voice download journal:", error);
+        return null;
+    }
+}
+
+/**
+ * Saves the voice download journal for a bank to browser storage.
+ * @param {object} journal - The journal (must contain bankOffset).
+ */
+function saveVoiceJournal(journal)
+{
+    try
+    {
+        journal.updated = new Date().toISOString();
+        localStorage.setItem(VOICE_JOURNAL_KEY_PREFIX + journal.bankOffset.toString(16), JSON.stringify(journal));
+    }
+    catch (error)
+    {
+        console.warn("Could not save voice download journal:", error);
+    }
+}
+
+/**
+ * Removes the voice download journal for a bank.
+ * @param {number} bankOffset - The starting address of the voice bank.
+ */
+function clearVoiceJournal(bankOffset)
+{
+    try
+    {
+        localStorage.removeItem(VOICE_JOURNAL_KEY_PREFIX + bankOffset.toString(16));
+    }
+    catch (error)
+    {
+        console.warn("Could not clear voice download journal:", error);
+    }
+}
+
+/**
+ * Checks for an interrupted download to this bank and offers to resume it.
+ * Refuses (and discards the journal) if the pack, bank, device model or marker fingerprint has changed since it was written.
  * @param {string} voicePackXmlFile - URL path to the voice pack XML definition.
  * @param {number} bankOffset - The starting address of the target voice bank.
- * @returns {Promise<{success: boolean, count: number}>} Object indicating success and number of phrases processed.
+ * @param {object | null} [pack] - The voice pack definition if already loaded.
+ * @returns {Promise<object | null>} The journal to resume from, or null to start a fresh download.
  */
-async function processVoicePack(voicePackXmlFile, bankOffset)
+async function offerVoiceResume(voicePackXmlFile, bankOffset, pack = null)
 {
-    let phrasesProcessed = 0;
-    try
+    const journal = loadVoiceJournal(bankOffset);
+    if (!journal)
     {
-        updateTextArea(`Fetching voice pack definition: ${voicePackXmlFile}...\n`);
-        const response = await fetch(voicePackXmlFile);
-        if (!response.ok)
+        return null;
+    }
+
+    let refusal = null;
+    if (journal.pack !== voicePackXmlFile)
+    {
+        refusal = `a different voice pack (${journal.pack}) was being written`;
+    }
+    else if (journal.bankOffset !== bankOffset)
+    {
+        refusal = "it was written for a different bank";
+    }
+    else if (journal.device !== describeConnectedDevice())
+    {
+        refusal = "a different device is connected";
+    }
+    else if (!journal.unit || journal.unit !== fingerprintMarkerUnit(deviceIdentity, bankOffset))
+    {
+        refusal = "this marker's settings or other voice banks are not the ones recorded, so it is probably a different marker";
+    }
+    else
+    {
+        try
         {
-            throw new Error(`Failed to fetch voice pack XML: ${response.statusText}`);
+            const definition = pack || await loadVoicePackDefinition(voicePackXmlFile);
+            if (definition.fingerprint !== journal.packFingerprint)
+            {
+                refusal = "the voice pack definition has changed";
+            }
         }
-        const xmlText = await response.text();
-        const parser = new DOMParser();
-        const xmlDoc = parser.parseFromString(xmlText, "text/xml");
+        catch (error)
+        {
+            refusal = `the voice pack definition could not be checked (${error.message})`;
+        }
+    }
+
+    // The last confirmed map entry must still be on the device, otherwise this isn't the same marker/bank state
+    if (!refusal && journal.lastMapEntry)
+    {
+        const { index, startAdd, endAdd } = journal.lastMapEntry;
+        const mapEntryAddress = bankOffset + (index * deviceInterface.EEPROM_VOICE_MAP_ENTRY_SIZE);
+        const readBack = await deviceInterface.readEepromPage(mapEntryAddress);
+        if (readBack === null || !deviceInterface.bytesMatch(deviceInterface.buildVoiceMapEntry(startAdd, endAdd), readBack))
+        {
+            refusal = "the bank contents on the device do not match the journal";
+        }
+    }
+
+    if (refusal)
+    {
+        updateTextArea(`Found an interrupted download for this bank, but cannot resume: ${refusal}.\n`);
+        clearVoiceJournal(bankOffset);
+        return null;
+    }
+
+    // Markers at a station all look the same, so the journal could belong to a different unit
+    if (stationRecipe)
+    {
+        updateTextArea("Found an interrupted download for this bank; station mode starts over.\n");
+        clearVoiceJournal(bankOffset);
+        return null;
+    }
+
+    const resumeText = `A previous download of ${journal.pack} stopped after ${journal.nextPhrase} of ${journal.phrasesTotal} phrases.\n\n` +
+                       "Markers have no serial number, so this can't be confirmed to be the same marker: only its settings and " +
+                       "other voice banks were checked. Only resume if it is the marker that was being programmed.\n\n" +
+                       `Resume from phrase ${journal.nextPhrase + 1}? (Cancel erases the bank and starts over.)`;
+    if (!window.confirm(resumeText))
+    {
+        clearVoiceJournal(bankOffset);
+        return null;
+    }
+    return journal;
+}
 
-        const pathElement = xmlDoc.querySelector("path");
-        const path = pathElement ? pathElement.textContent.trim() : "";
-        if (!path)
+/**
+ * Processes a voice pack (XML definition or .lvp archive), writing contained voice files and map entries.
+ * @param {string} voicePackXmlFile - URL path to the voice pack XML definition or archive.
+ * @param {number} bankOffset - The starting address of the target voice bank.
+ * @param {object | null} [resumeJournal] - Journal of an interrupted download to continue from, or null to start at the first phrase.
+ * @param {AbortSignal | null} [signal] - Stops the download at the next page once aborted; every completed phrase stays in the journal.
+ * @param {{pack: object, files: Map<string, Uint8Array | null>} | null} [loaded] - The pack as loaded and validated by loadVoicePackFiles;
+ *          its phrase data is written as it is, without downloading or checking it again.
+ * @returns {Promise<{success: boolean, cancelled?: boolean, count: number, phrases: object[], data: Map<number, Uint8Array>, packSource: {size: number, sha256: string} | null}>}
+ *          Object indicating success, number of phrases processed, where each was written with the size and SHA-256 digest of
+ *          the data written, the contents of those written in this session (by voice index) and the size and digest of the definition used.
+ */
+async function processVoicePack(voicePackXmlFile, bankOffset, resumeJournal = null, signal = null, loaded = null)
+{
+    let phrasesProcessed = resumeJournal ? resumeJournal.count : 0;
+    const writtenPhrases = resumeJournal ? resumeJournal.phrases.slice() : []; // Layout of every phrase written, used by the verify pass
+    const writtenData = new Map(); // Contents of each phrase written in this session by voice index, so verifying needn't fetch them again
+    let packSource = null;
+    try
+    {
+        if (!loaded)
+        {
+            updateTextArea(`Fetching voice pack definition: ${voicePackXmlFile}...\n`);
+        }
+        const pack = loaded ? loaded.pack : await loadVoicePackDefinition(voicePackXmlFile);
+        packSource = { size: pack.size, sha256: pack.sha256 };
+        if (!pack.path)
         {
             console.warn("No <path> element found in voice pack XML. Assuming relative path.");
         }
 
-        const phrases = xmlDoc.querySelectorAll("phrase");
+        const phrases = pack.phrases;
         if (phrases.length === 0)
         {
              updateTextArea("Warning: No <phrase> elements found in the voice pack XML.\n");
-             return { success: true, count: 0 };
+             return { success: true, count: 0, phrases: writtenPhrases, data: writtenData, packSource };
         }
 
-        updateTextArea(`Found ${phrases.length} phrases. Starting voice data write...\n`);
-
         let currentAddressPtr = bankOffset + deviceInterface.EEPROM_VOICE_MAP_OFFSET;
         const mapBaseAddress = bankOffset;
+        let firstPhrase = 0;
+
+        const journal = resumeJournal || {
+            pack: voicePackXmlFile,
+            packFingerprint: pack.fingerprint,
+            bankOffset: bankOffset,
+            device: describeConnectedDevice(),
+            unit: fingerprintMarkerUnit(deviceIdentity, bankOffset),
+            phrasesTotal: phrases.length,
+            nextPhrase: 0,
+            nextAddress: currentAddressPtr,
+            lastMapEntry: null,
+            count: 0,
+            phrases: []
+        };
+
+        if (resumeJournal)
+        {
+            firstPhrase = resumeJournal.nextPhrase;
+            currentAddressPtr = resumeJournal.nextAddress;
+            updateTextArea(`Found ${phrases.length} phrases. Resuming voice data write at phrase ${firstPhrase + 1} (0x${currentAddressPtr.toString(16)})...\n`);
+        }
+        else
+        {
+            updateTextArea(`Found ${phrases.length} phrases. Starting voice data write...\n`);
+        }
 
-        for (let i = 0; i < phrases.length; i++)
+        for (let i = firstPhrase; i < phrases.length; i++)
         {
-            const phrase = phrases[i];
-            const indexElement = phrase.querySelector("index");
-            const fileElement = phrase.querySelector("file");
+            if (signal && signal.aborted)
+            {
+                updateTextArea(`Cancelled before phrase ${i + 1} of ${phrases.length}.\n`);
+                return { success: false, cancelled: true, count: phrasesProcessed, phrases: writtenPhrases, data: writtenData, packSource };
+            }
+            const { index, fileName, filePath, digest } = phrases[i];
 
-            if (!indexElement || !fileElement)
+            if (isNaN(index) || !fileName)
             {
                 updateTextArea(`Warning: Skipping phrase ${i + 1} - missing index or file tag.\n`);
                 continue;
             }
 
-            const index = parseInt(indexElement.textContent.trim(), 10);
-            const fileName = fileElement.textContent.trim();
-            const filePath = (path ? `${path.replace(/\/$/, '')}/${fileName}` : fileName);
-
             updateTextArea(`  Writing file ${i + 1}/${phrases.length} (${fileName})... `);
 
             const startAdd = currentAddressPtr;
-            const bytesWritten = await deviceInterface.writeVoiceFile(filePath, startAdd);
+            const fileData = loaded ? loaded.files.get(filePath) || null : await deviceInterface.fetchVoiceFile(filePath);
+            const bytesWritten = fileData === null ? 0 :
+                await deviceInterface.writeVoiceFile(filePath, startAdd, bankOffset + deviceInterface.EEPROM_VOICE_BANK_SIZE - 1, loaded ? null : digest, signal, fileData);
 
+            if (bytesWritten === 0 && signal && signal.aborted)
+            {
+                // The journal still points at this phrase, so a resume rewrites it from the start
+                updateTextArea("cancelled part-way, no map entry written.\n");
+                return { success: false, cancelled: true, count: phrasesProcessed, phrases: writtenPhrases, data: writtenData, packSource };
+            }
             if (bytesWritten === 0)
             {
                 updateTextArea(`ERROR!\n`);
@@ -1176,27 +3194,118 @@ async function processVoicePack(voicePackXmlFile, bankOffset)
             }
 
             updateTextArea(`OK (${bytesWritten} bytes)\n`);
+            writtenPhrases.push({ index, fileName, filePath, startAdd, endAdd, size: fileData.length, sha256: await sha256Hex(fileData) });
+            writtenData.set(index, fileData);
             currentAddressPtr = endAdd + 1;
             phrasesProcessed++;
+
+            // Record the confirmed phrase so an interruption can resume from the next one
+            journal.nextPhrase = i + 1;
+            journal.nextAddress = currentAddressPtr;
+            journal.lastMapEntry = { index, startAdd, endAdd };
+            journal.count = phrasesProcessed;
+            journal.phrases = writtenPhrases;
+            saveVoiceJournal(journal);
         }
 
         updateTextArea(`Voice pack processing complete. ${phrasesProcessed} phrases written.\n`);
-        return { success: true, count: phrasesProcessed };
+        return { success: true, count: phrasesProcessed, phrases: writtenPhrases, data: writtenData, packSource };
     }
     catch (error)
     {
         console.error("Error processing voice pack:", error);
         updateTextArea(`ERROR during voice pack processing: ${error.message}\n`);
-        return { success: false, count: phrasesProcessed };
+        return { success: false, count: phrasesProcessed, phrases: writtenPhrases, data: writtenData, packSource };
+    }
+}
+
+/**
+ * Reads back every phrase and map entry written by processVoicePack and compares them
+ * byte-for-byte against the data that was written, rewriting mismatched pages where that can fix them.
+ * Stops at the first page that needs erasing, since only erasing and rewriting the bank can fix it.
+ * @param {object[]} writtenPhrases - Phrase layout returned by processVoicePack.
+ * @param {number} bankOffset - The starting address of the target voice bank.
+ * @param {AbortSignal | null} [signal] - Stops the check before the next phrase once aborted.
+ * @param {Map<number, Uint8Array>} [writtenData] - Contents written in this session by voice index; phrases written
+ *          before a resume aren't in it and are fetched again.
+ * @returns {Promise<boolean>} True if every phrase and map entry matches (after any repairs), false if not or cancelled.
+ */
+async function verifyVoicePack(writtenPhrases, bankOffset, signal = null, writtenData = new Map())
+{
+    let phrasesOk = 0;
+    let phrasesRepaired = 0;
+    let phrasesFailed = 0;
+    const voiceOutcome = programmingOutcome ? programmingOutcome.voice : null; // Repairs are reported with the session
+
+    updateTextArea(`Verifying ${writtenPhrases.length} phrases...\n`);
+
+    for (let i = 0; i < writtenPhrases.length; i++)
+    {
+        if (signal && signal.aborted)
+        {
+            updateTextArea(`Verification cancelled after ${i} of ${writtenPhrases.length} phrases.\n`);
+            return false;
+        }
+        const { index, fileName, filePath, startAdd, endAdd } = writtenPhrases[i];
+        updateTextArea(`  Verifying ${i + 1}/${writtenPhrases.length} (${fileName})... `);
+
+        const fileData = writtenData.get(index) || await deviceInterface.fetchVoiceFile(filePath);
+        if (fileData === null || fileData.length !== endAdd - startAdd + 1)
+        {
+            updateTextArea("FAILED (source file unavailable or changed)\n");
+            phrasesFailed++;
+            if (voiceOutcome) voiceOutcome.failedPhrases++;
+            continue;
+        }
+
+        const dataResult = await deviceInterface.verifyVoiceData(fileData, startAdd);
+        const mapResult = await deviceInterface.verifyVoiceMapEntry(index, startAdd, endAdd, bankOffset);
+
+        if (dataResult.needsErase || mapResult.needsErase)
+        {
+            updateTextArea(`FAILED (${dataResult.needsErase ? "voice data" : "map entry"} has bits that a rewrite can't set again)\n`);
+            updateTextArea("ERROR: The bank can only be fixed by erasing it. Program the voice pack again to erase and rewrite the bank.\n");
+            phrasesFailed++;
+            if (voiceOutcome) voiceOutcome.failedPhrases++;
+            break;
+        }
+        if (!dataResult.success || !mapResult.success)
+        {
+            const mapText = mapResult.success ? "map OK" : "map entry mismatch";
+            updateTextArea(`FAILED (${dataResult.mismatched - dataResult.repaired} of ${dataResult.pages} pages bad, ${mapText})\n`);
+            phrasesFailed++;
+            if (voiceOutcome) voiceOutcome.failedPhrases++;
+        }
+        else if (dataResult.mismatched > 0 || mapResult.mismatched)
+        {
+            const mapText = mapResult.mismatched ? ", map entry rewritten" : "";
+            updateTextArea(`REPAIRED (${dataResult.repaired} of ${dataResult.pages} pages rewritten${mapText})\n`);
+            phrasesRepaired++;
+            if (voiceOutcome)
+            {
+                voiceOutcome.repairedPhrases++;
+                voiceOutcome.repairedPages += dataResult.repaired + (mapResult.mismatched ? 1 : 0);
+            }
+        }
+        else
+        {
+            updateTextArea(`OK (${dataResult.pages} pages)\n`);
+            phrasesOk++;
+        }
     }
+
+    updateTextArea(`Verification complete: ${phrasesOk} OK, ${phrasesRepaired} repaired, ${phrasesFailed} failed.\n`);
+    return phrasesFailed === 0;
 }
 
 
 /**
  * Helper function to handle firmware programming logic.
- * @returns {Promise<boolean>} True on success/skip, false on failure.
+ * @param {AbortSignal | null} [signal] - Cancels the write at the next block.
+ * @param {object | null} [image] - The firmware as loaded by loadSessionFiles, so it isn't downloaded again.
+ * @returns {Promise<boolean>} True on success/skip, false on failure or cancellation.
  */
-async function programFirmware()
+async function programFirmware(signal = null, image = null)
 {
     if (!firmwareCheckbox || !firmwareSelect) return false;
 
@@ -1217,15 +3326,42 @@ async function programFirmware()
     updateTextArea(`Starting firmware download: ${firmwareFileName}...\n`);
     const firmwarePath = `firmware/${firmwareFileName}`; // Assuming 'firmware' subfolder
 
-    const success = await deviceInterface.writeImage(firmwarePath);
+    const result = await deviceInterface.writeImage(firmwarePath, catalogDigests.get(firmwarePath) || null, signal, image);
+    if (programmingOutcome)
+    {
+        programmingOutcome.firmware = {
+            file: firmwareFileName,
+            size: result.source ? result.source.size : null,
+            sha256: result.source ? result.source.sha256 : null,
+            blocksWritten: result.blocksWritten,
+            blocksPlanned: result.blocksPlanned,
+            complete: result.success
+        };
+    }
+    if (result.cancelled)
+    {
+        updateTextArea(`Firmware download cancelled after ${result.blocksWritten} of ${result.blocksPlanned} blocks.\n`);
+        return false;
+    }
 
-    if (success)
+    if (result.success)
     {
+        updateTextArea(`Firmware blocks: ${result.blocksWritten} written.\n`);
         updateTextArea("Firmware download completed successfully.\n");
         return true;
     }
     else
     {
+        if (result.errors.length > 0)
+        {
+            updateTextArea(`ERROR: Firmware file rejected, nothing was written (${result.errors.length} problems):\n`);
+            const shownErrors = result.errors.slice(0, 20);
+            shownErrors.forEach((error) => updateTextArea(`  ${error}\n`));
+            if (result.errors.length > shownErrors.length)
+            {
+                updateTextArea(`  ...and ${result.errors.length - shownErrors.length} more.\n`);
+            }
+        }
         updateTextArea("ERROR: Firmware download failed.\n");
         return false; // Indicate failure
     }
@@ -1233,9 +3369,11 @@ async function programFirmware()
 
 /**
  * Helper function to handle voice pack programming logic.
- * @returns {Promise<boolean>} True on success/skip, false on failure.
+ * @param {AbortSignal | null} [signal] - Cancels the erase, download or verify at the next safe point.
+ * @param {object | null} [loaded] - The voice pack as loaded by loadSessionFiles, so nothing is downloaded again.
+ * @returns {Promise<boolean>} True on success/skip, false on failure or cancellation.
  */
-async function programVoicePack()
+async function programVoicePack(signal = null, loaded = null)
 {
     if (!voiceCheckbox || !voicePackSelect) return false;
 
@@ -1272,33 +3410,126 @@ async function programVoicePack()
     }
 
     updateTextArea(`Targeting Voice Bank at offset 0x${bankOffset.toString(16)}.\n`);
+    const voicePath = `voice/${voicePackFileName}`; // Assuming 'voice' subfolder
 
-    // 1. Erase the target voice bank
-    updateTextArea("Erasing target voice bank (this may take a while)...");
-    const eraseSuccess = await deviceInterface.eraseVoiceBank(bankOffset);
-    if (!eraseSuccess)
+    // 0. Plan the layout before touching the bank, refusing anything that would overflow it
+    updateTextArea("Planning voice pack layout...\n");
+    const layout = await planVoicePackLayout(voicePath, bankOffset, loaded);
+    const mapBytes = (layout.highestIndex + 1) * deviceInterface.EEPROM_VOICE_MAP_ENTRY_SIZE;
+    updateTextArea(`  ${layout.phrases.length} phrases, ${layout.totalBytes.toLocaleString()} of ${layout.capacity.toLocaleString()} bytes ` +
+                   `(${Math.round(layout.totalBytes / layout.capacity * 100)}%), map ${mapBytes} of ${deviceInterface.EEPROM_VOICE_MAP_OFFSET} bytes.\n`);
+    updateBankGauge(parseInt(voiceBankValue.replace("bank", ""), 10), layout.totalBytes, "planned");
+    if (layout.errors.length > 0)
     {
-        updateTextArea("ERROR: Failed to erase voice bank.\n");
-        return false; // Abort if erase fails
+        updateTextArea("ERROR: Voice pack cannot be written to this bank, nothing was erased:\n");
+        layout.errors.forEach((error) => updateTextArea(`  ${error}\n`));
+        return false;
     }
-    updateTextArea(" completed.\n");
-
-    // 2. Process the voice pack XML and write files/map
-    updateTextArea(`Starting voice pack download: ${voicePackFileName}...\n`);
-    const voicePath = `voice/${voicePackFileName}`; // Assuming 'voice' subfolder
-    const processResult = await processVoicePack(voicePath, bankOffset);
 
-    if (!processResult.success)
+    // Record what happens to the bank, so a cancelled or failed sequence can say what state it is in
+    const outcome = {
+        bankNumber: parseInt(voiceBankValue.replace("bank", ""), 10),
+        phraseTotal: layout.phrases.length,
+        erasedBlocks: 0,
+        eraseBlocks: deviceInterface.EEPROM_VOICE_BANK_SIZE / deviceInterface.EEPROM_BLOCK_SIZE,
+        resumed: false,
+        resumedFrom: null,
+        phrases: [],
+        verified: false,
+        repairedPhrases: 0,
+        repairedPages: 0,
+        failedPhrases: 0,
+        configUpdated: false,
+        packSource: null, // Size and digest of the definition the phrases were taken from
+        phraseDigests: [] // Size and digest of the data written for each phrase
+    };
+    if (programmingOutcome)
     {
-        updateTextArea("ERROR: Failed during voice pack processing.\n");
-        return false; // Abort if processing fails
+        programmingOutcome.voice = outcome;
     }
 
-    // 3. Update voice bank count parameter
-    let bankCountParameter = 0;
-     switch (voiceBankValue)
+    // 1. Erase the target voice bank, unless an interrupted download is being resumed
+    const resumeJournal = await offerVoiceResume(voicePath, bankOffset, loaded ? loaded.pack : null);
+    if (resumeJournal)
     {
-        case "bank1": bankCountParameter = 100; break; // Example counts
+        updateTextArea("Resuming interrupted download, skipping bank erase.\n");
+        deviceInterface.skipProgress("erase");
+        outcome.resumed = true;
+        outcome.resumedFrom = resumeJournal.nextPhrase;
+        outcome.phrases = resumeJournal.phrases.map((phrase) => phrase.index);
+        if (!await deviceInterface.clearEepromProtection())
+        {
+            updateTextArea("ERROR: Failed to clear EEPROM protection for resume.\n");
+            return false;
+        }
+    }
+    else
+    {
+        updateTextArea("Erasing target voice bank (this may take a while)...");
+        const eraseSuccess = await deviceInterface.eraseVoiceBank(bankOffset, signal);
+        const eraseProgress = deviceInterface.progress.get("erase");
+        outcome.erasedBlocks = eraseProgress ? eraseProgress.done / deviceInterface.EEPROM_BLOCK_SIZE : 0;
+        if (!eraseSuccess && signal && signal.aborted)
+        {
+            updateTextArea(" cancelled.\n");
+            return false;
+        }
+        if (!eraseSuccess)
+        {
+            updateTextArea("ERROR: Failed to erase voice bank.\n");
+            return false; // Abort if erase fails
+        }
+        updateTextArea(" completed.\n");
+    }
+
+    // 2. Process the voice pack XML and write files/map
+    updateTextArea(`Starting voice pack download: ${voicePackFileName}...\n`);
+    deviceInterface.startProgress("voice", layout.totalBytes, deviceInterface.BUFFER_SIZE);
+    deviceInterface.startProgress("map", layout.phrases.length * deviceInterface.EEPROM_VOICE_MAP_ENTRY_SIZE, deviceInterface.EEPROM_VOICE_MAP_ENTRY_SIZE);
+    if (resumeJournal)
+    {
+        deviceInterface.skipProgress("voice", resumeJournal.nextAddress - (bankOffset + deviceInterface.EEPROM_VOICE_MAP_OFFSET));
+        deviceInterface.skipProgress("map", resumeJournal.count * deviceInterface.EEPROM_VOICE_MAP_ENTRY_SIZE);
+    }
+    const processResult = await processVoicePack(voicePath, bankOffset, resumeJournal, signal, loaded);
+    outcome.phrases = processResult.phrases.map((phrase) => phrase.index);
+    outcome.packSource = processResult.packSource;
+    outcome.phraseDigests = processResult.phrases.map((phrase) => ({
+        index: phrase.index,
+        file: phrase.fileName,
+        size: phrase.size,
+        sha256: phrase.sha256
+    }));
+
+    if (processResult.cancelled)
+    {
+        return false; // The journal keeps every completed phrase for a resume
+    }
+    if (!processResult.success)
+    {
+        updateTextArea("ERROR: Failed during voice pack processing.\n");
+        return false; // Abort if processing fails
+    }
+
+    // 3. Read back and verify everything that was written
+    const writtenBytes = processResult.phrases.reduce((sum, phrase) => sum + phrase.endAdd - phrase.startAdd + 1, 0);
+    deviceInterface.startProgress("verify", writtenBytes, deviceInterface.BUFFER_SIZE);
+    if (!await verifyVoicePack(processResult.phrases, bankOffset, signal, processResult.data))
+    {
+        if (signal && signal.aborted)
+        {
+            return false; // Written data is still journalled; programming again resumes and verifies it
+        }
+        updateTextArea("ERROR: Voice pack verification failed.\n");
+        clearVoiceJournal(bankOffset); // Resuming can't fix bad data; the next attempt must erase
+        return false; // Don't point the marker at a bank with bad data
+    }
+
+    // 4. Update voice bank count parameter
+    let bankCountParameter = 0;
+     switch (voiceBankValue)
+    {
+        case "bank1": bankCountParameter = 100; break; // Example counts
         case "bank2": bankCountParameter = 110; break;
         case "bank3": bankCountParameter = 111; break;
     }
@@ -1306,7 +3537,14 @@ async function programVoicePack()
     if (bankCountParameter > 0)
     {
         updateTextArea(`Updating voice configuration parameter to ${bankCountParameter}...\n`);
-        const countUpdateSuccess = await deviceInterface.writeVoiceBankCount(bankCountParameter);
+        outcome.verified = true;
+        const countUpdateSuccess = await deviceInterface.writeVoiceBankCount(bankCountParameter, signal);
+        outcome.configUpdated = countUpdateSuccess;
+        if (!countUpdateSuccess && signal && signal.aborted)
+        {
+            updateTextArea("Voice configuration update cancelled, config left as it was.\n");
+            return false;
+        }
         if (!countUpdateSuccess)
         {
              updateTextArea("Warning: Failed to update voice bank count parameter after download.\n");
@@ -1322,41 +3560,299 @@ async function programVoicePack()
     }
 
 
+    clearVoiceJournal(bankOffset); // Bank is complete, nothing left to resume
     updateTextArea("Voice pack download process finished.\n");
     return true; // Indicate overall success
 }
 
+/**
+ * Explains what a programming sequence left on the marker, e.g. "Bank 2: partially written, phrases 0-41 (42 of 91)".
+ * @param {{firmware: object | null, voice: object | null}} outcome - What programFirmware and programVoicePack recorded.
+ * @returns {string[]} One line for the firmware and, if a voice pack was being programmed, its bank and the voice configuration.
+ */
+function describeProgrammingOutcome(outcome)
+{
+    const lines = [];
+    const firmware = outcome.firmware;
+    if (!firmware || firmware.blocksWritten === 0 && !firmware.complete)
+    {
+        lines.push("Firmware: not changed.");
+    }
+    else if (firmware.complete)
+    {
+        lines.push(`Firmware: ${firmware.file} fully written.`);
+    }
+    else
+    {
+        lines.push(`Firmware: partially written (${firmware.blocksWritten} of ${firmware.blocksPlanned} blocks of ${firmware.file}). ` +
+                   "The marker won't run until firmware is programmed again.");
+    }
+
+    const voice = outcome.voice;
+    if (voice)
+    {
+        const bank = `Bank ${voice.bankNumber}`;
+        if (!voice.resumed && voice.erasedBlocks === 0)
+        {
+            lines.push(`${bank}: not changed.`);
+        }
+        else if (!voice.resumed && voice.erasedBlocks < voice.eraseBlocks)
+        {
+            lines.push(`${bank}: partially erased (${voice.erasedBlocks} of ${voice.eraseBlocks} blocks), its voice is unusable until the bank is programmed again.`);
+        }
+        else if (voice.phrases.length === 0)
+        {
+            lines.push(`${bank}: erased, no phrases written.`);
+        }
+        else if (voice.phrases.length < voice.phraseTotal)
+        {
+            const indexes = voice.phrases.slice().sort((a, b) => a - b);
+            lines.push(`${bank}: partially written, phrases ${formatIndexRanges(indexes)} (${indexes.length} of ${voice.phraseTotal}). ` +
+                       "Programming the same pack again offers to resume.");
+        }
+        else if (!voice.verified && voice.failedPhrases > 0)
+        {
+            lines.push(`${bank}: all ${voice.phraseTotal} phrases written but verification failed. Programming the pack again erases and rewrites the bank.`);
+        }
+        else if (!voice.verified)
+        {
+            lines.push(`${bank}: all ${voice.phraseTotal} phrases written but not verified. Programming the same pack again offers to resume and verify.`);
+        }
+        else
+        {
+            lines.push(`${bank}: written and verified.`);
+        }
+        lines.push(voice.configUpdated ? `Voice configuration: updated to ${bank}.` : "Voice configuration: not changed, the marker still selects its previous bank.");
+    }
+    return lines;
+}
+
+/**
+ * Asks the programming sequence in progress to stop at the next safe point (between USB commands,
+ * and never between erasing the config sector and writing it back).
+ */
+function cancelProgramming()
+{
+    if (!programmingAbort || programmingAbort.signal.aborted)
+    {
+        return;
+    }
+    programmingAbort.abort();
+    if (cancelButton) cancelButton.disabled = true;
+    updateTextArea("Cancelling: stopping at the next safe point...\n");
+}
+
+/**
+ * Shows whether a marker is open, plugged in (and already permitted) or absent in the title bar badge.
+ * @returns {Promise<void>}
+ */
+async function updateDeviceBadge()
+{
+    if (!deviceBadge) return;
+
+    let state = "none";
+    let text = "No marker";
+    if (!deviceInterface.hid)
+    {
+        text = "WebHID unavailable";
+    }
+    else if (deviceInterface.device && deviceInterface.device.opened)
+    {
+        state = "connected";
+        text = "Marker connected";
+    }
+    else
+    {
+        try
+        {
+            const devices = await deviceInterface.hid.getDevices();
+            if (devices.some((device) => deviceInterface.isLuxeDevice(device)))
+            {
+                state = "available";
+                text = "Marker plugged in";
+            }
+        }
+        catch (error)
+        {
+            console.warn("Could not list HID devices:", error);
+        }
+    }
+    deviceBadge.dataset.state = state;
+    deviceBadge.textContent = text;
+}
+
+/**
+ * Reports markers being plugged in and unplugged, and keeps the status badge up to date.
+ * The identity of an unplugged marker is dropped: whatever is plugged in next is identified afresh when it is connected.
+ * @param {CustomEvent} event - "connection" event from the device interface.
+ */
+function handleConnectionEvent(event)
+{
+    switch (event.detail.state)
+    {
+        case "lost":
+            updateTextArea(deviceBusy ? "ERROR: The marker was unplugged. The operation in progress stops now.\n"
+                                      : "The marker was unplugged.\n");
+            deviceIdentity = null;
+            showDeviceIdentity(null);
+            break;
+        case "reopened":
+            updateTextArea("The marker was plugged in again and has been re-opened (its config blocks match the unplugged one)." +
+                           (deviceBusy ? "\n" : " Start the operation again; it identifies the marker before writing anything.\n"));
+            break;
+        case "plugged":
+            updateTextArea("A marker was plugged in.\n");
+            break;
+        case "unplugged":
+            updateTextArea("A marker was unplugged.\n");
+            break;
+    }
+    updateDeviceBadge();
+}
+
+/**
+ * Downloads and checks every file the selected programming session needs, once: the firmware image and
+ * the voice pack with all its phrase data. The rest of the session works from what this returns.
+ * @returns {Promise<{firmware: {path: string, image: object} | null, voice: {path: string, pack: object, files: Map<string, Uint8Array | null>} | null}>}
+ *          The firmware as loaded by loadHexImage and the voice pack as loaded by loadVoicePackFiles (null when not programmed).
+ * @throws {Error} If a file is missing, fails its integrity check or the voice pack fails validation.
+ */
+async function loadSessionFiles()
+{
+    const files = { firmware: null, voice: null };
+
+    if (firmwareCheckbox.checked && firmwareSelect.value)
+    {
+        const firmwarePath = `firmware/${firmwareSelect.value}`;
+        const image = await deviceInterface.loadHexImage(firmwarePath, catalogDigests.get(firmwarePath) || null);
+        if (!image.source)
+        {
+            image.errors.forEach((error) => updateTextArea(`ERROR: ${error}.\n`));
+        }
+        if (!image.source || !await verifyCatalogFile(firmwarePath, image.source))
+        {
+            throw new Error("Firmware file failed its integrity check. Nothing was programmed.");
+        }
+        files.firmware = { path: firmwarePath, image };
+    }
+
+    if (voiceCheckbox.checked && voicePackSelect.value)
+    {
+        const voicePath = `voice/${voicePackSelect.value}`;
+        let loaded = null;
+        try
+        {
+            loaded = await loadVoicePackFiles(voicePath);
+        }
+        catch (error)
+        {
+            updateTextArea(`ERROR: ${error.message}.\n`);
+        }
+        if (!loaded || !await verifyCatalogFile(voicePath, loaded.pack) || !await reportVoicePackValidation(voicePackSelect.value, loaded))
+        {
+            throw new Error("Voice pack failed validation. Nothing was programmed.");
+        }
+        files.voice = Object.assign({ path: voicePath }, loaded);
+    }
+    return files;
+}
+
 /**
  * Main function to program the device based on UI selections.
  * Handles connect, mode switching, calling helpers, and disconnect.
+ * @param {HIDDevice | null} [targetDevice] - Marker to program when several are attached (null picks the first one found).
+ * @returns {Promise<boolean>} True if the whole sequence finished, false if it failed, was cancelled or didn't start.
  */
-async function programDevice()
+async function programDevice(targetDevice = null)
 {
     if (!firmwareCheckbox || !voiceCheckbox || !downloadButton)
     {
          console.error("UI elements not ready for programming.");
          updateTextArea("ERROR: UI not initialized correctly.\n");
-         return;
+         return false;
     }
 
     if (!firmwareCheckbox.checked && !voiceCheckbox.checked)
     {
         updateTextArea("Nothing selected to download. Check Firmware or Voice.\n");
-        return; // Nothing to do
+        return false; // Nothing to do
+    }
+
+    if (deviceBusy)
+    {
+        updateTextArea("Another device operation is already running.\n");
+        return false;
     }
+    deviceBusy = true;
 
     let deviceWasConnected = false;
+    let sequenceFinished = false;
+    let connectedDevice = null;
+    let finalMode = "not connected";
+    const sessionStarted = new Date();
+    const sessionSelections = captureSessionSelections();
+    sessionLog = [];
+    programmingAbort = new AbortController();
+    const signal = programmingAbort.signal;
+    programmingOutcome = { firmware: null, voice: null, error: "" };
+
+    // Opt-in USB packet trace for this session
+    const traceSession = traceCheckbox && traceCheckbox.checked ? captureSessionSelections() : null;
+    const traceStarted = new Date().toISOString();
+    if (traceSession)
+    {
+        deviceInterface.startTrace();
+    }
 
     try
     {
         downloadButton.disabled = true;
+        if (cancelButton) cancelButton.disabled = false;
+        deviceInterface.resetProgress();
         updateTextArea("--- Starting Programming Sequence ---\n");
 
-        if (!await connectDevice())
+        // A bad firmware download or broken voice pack is caught before the device is touched at all.
+        // A station checked its files and their compatibility when it started, so each marker reuses them.
+        const sessionFiles = stationFiles || await loadSessionFiles();
+        if (stationFiles)
+        {
+            updateTextArea("Using the files checked when the station started.\n");
+        }
+        else if (firmwareCheckbox.checked && voiceCheckbox.checked && sessionFiles.voice &&
+                 !await reportCompatibility(true, sessionFiles.voice.pack))
+        {
+            throw new Error("Firmware and voice pack are not compatible. Nothing was programmed.");
+        }
+        await planProgrammingProgress(sessionFiles);
+        if (signal.aborted)
+        {
+            throw new Error("Cancelled before connecting.");
+        }
+
+        if (!await connectDevice(targetDevice))
         {
             throw new Error("Device connection failed. Aborting.");
         }
         deviceWasConnected = true;
+        connectedDevice = describeSessionDevice(deviceIdentity);
+
+        // Without new firmware the voice pack has to suit what the marker already is
+        if (voiceCheckbox.checked && voicePackSelect.value && !firmwareCheckbox.checked)
+        {
+            if (deviceIdentity && !deviceIdentity.model)
+            {
+                await identifyInstalledPacks(deviceIdentity); // The installed packs may tell the model when the USB name doesn't
+            }
+            const deviceCheck = checkDeviceCompatibility(voicePackSelect.value);
+            deviceCheck.errors.forEach((error) => updateTextArea(`ERROR: ${error}.\n`));
+            deviceCheck.warnings.forEach((warning) => updateTextArea(`Warning: ${warning}.\n`));
+            // Nobody is there to answer at a station, so a doubtful marker is left for the operator
+            if (deviceCheck.errors.length > 0 ||
+                (deviceCheck.warnings.length > 0 && (stationRecipe || !window.confirm(`${deviceCheck.warnings.join(".\n")}.\n\nProgram it anyway?`))))
+            {
+                throw new Error("Voice pack does not suit the connected marker. Nothing was programmed.");
+            }
+        }
 
         updateTextArea("Setting device to Programming Mode...\n");
         if (!await deviceInterface.writeMode(PROG_MODE))
@@ -1364,44 +3860,68 @@ async function programDevice()
              throw new Error("Failed to set device to Programming Mode.");
         }
 
-        let firmwareSuccess = await programFirmware();
+        let firmwareSuccess = await programFirmware(signal, sessionFiles.firmware ? sessionFiles.firmware.image : null);
         if (!firmwareSuccess && firmwareCheckbox.checked)
         {
-             throw new Error("Firmware programming failed. Aborting sequence.");
+             throw new Error(signal.aborted ? "Cancelled during firmware download." : "Firmware programming failed. Aborting sequence.");
         }
 
         let voiceSuccess = true;
         if (firmwareSuccess) // Only proceed if firmware was successful or skipped
         {
-             voiceSuccess = await programVoicePack();
+             if (signal.aborted)
+             {
+                  throw new Error("Cancelled before the voice pack download.");
+             }
+             voiceSuccess = await programVoicePack(signal, sessionFiles.voice);
              if (!voiceSuccess && voiceCheckbox.checked)
              {
-                  throw new Error("Voice pack programming failed. Aborting sequence.");
+                  throw new Error(signal.aborted ? "Cancelled during the voice pack download." : "Voice pack programming failed. Aborting sequence.");
              }
         }
 
 
         updateTextArea("--- Programming Sequence Finished ---\n");
-
+        sequenceFinished = true;
     }
     catch (error)
     {
         console.error("Error during programming sequence:", error);
-        updateTextArea(`SEQUENCE ERROR: ${error.message}\n`);
-        updateTextArea("--- Programming Sequence Aborted ---\n");
+        programmingOutcome.error = error.message;
+        if (signal.aborted)
+        {
+            updateTextArea(`CANCELLED: ${error.message}\n`);
+            updateTextArea("--- Programming Sequence Cancelled ---\n");
+        }
+        else
+        {
+            updateTextArea(`SEQUENCE ERROR: ${error.message}\n`);
+            updateTextArea("--- Programming Sequence Aborted ---\n");
+        }
     }
     finally
     {
+        if (cancelButton) cancelButton.disabled = true;
+        const outcome = programmingOutcome;
+        const firmwareIncomplete = outcome.firmware && !outcome.firmware.complete && outcome.firmware.blocksWritten > 0;
+
         // --- Cleanup ---
         if (deviceWasConnected && deviceInterface.device && deviceInterface.device.opened)
         {
-            updateTextArea("Attempting cleanup: Setting Run Mode and Disconnecting...\n");
+            // Run mode would start half-written firmware; the bootloader in programming mode can always be reprogrammed
+            updateTextArea(firmwareIncomplete ? "Attempting cleanup: Leaving Programming Mode set (firmware incomplete) and Disconnecting...\n"
+                                              : "Attempting cleanup: Setting Run Mode and Disconnecting...\n");
+            finalMode = firmwareIncomplete ? "programming" : "unknown";
             try
             {
-                if (!await deviceInterface.writeMode(RUN_MODE))
+                if (!firmwareIncomplete && !await deviceInterface.writeMode(RUN_MODE))
                 {
                      updateTextArea("Warning: Failed to set device back to Run Mode.\n");
                 }
+                else if (!firmwareIncomplete)
+                {
+                     finalMode = "run";
+                }
                 await disconnectDevice();
             }
             catch (cleanupError)
@@ -1413,6 +3933,7 @@ async function programDevice()
         else if (deviceWasConnected)
         {
              updateTextArea("Device was connected but seems closed already. Skipping final mode set.\n");
+             finalMode = "unknown";
              // Ensure flags are fully reset if closeDevice wasn't called cleanly
              deviceInterface.deviceDetected = false;
              deviceInterface.device = null;
@@ -1423,50 +3944,3300 @@ async function programDevice()
              updateTextArea("Device was not connected. No cleanup needed.\n");
         }
 
+        // Say exactly what was left on the marker whenever the sequence didn't finish
+        if (deviceWasConnected && (signal.aborted || (outcome.firmware && !outcome.firmware.complete) ||
+            (outcome.voice && !outcome.voice.configUpdated)))
+        {
+            updateTextArea("Device state:\n");
+            describeProgrammingOutcome(outcome).forEach((line) => updateTextArea(`  ${line}\n`));
+        }
+        programmingAbort = null;
+
+        // Every session leaves a report behind, whatever the status area holds by the time someone needs it
+        try
+        {
+            const report = buildSessionReport({
+                started: sessionStarted,
+                selections: sessionSelections,
+                result: sequenceFinished ? "finished" : (signal.aborted ? "cancelled" : "failed"),
+                device: connectedDevice,
+                outcome,
+                finalMode,
+                log: sessionLog
+            });
+            saveSessionReport(report);
+            updateTextArea(`Session report saved (${report.result}). Export it under Session Reports.\n`);
+        }
+        catch (reportError)
+        {
+            console.error("Error building session report:", reportError);
+            updateTextArea(`Warning: Could not save a session report: ${reportError.message}\n`);
+        }
+        sessionLog = null;
+
+        if (traceSession)
+        {
+            lastTrace = { format: "luxe-usb-trace", version: 1, started: traceStarted, session: traceSession, entries: deviceInterface.stopTrace() };
+            updateTextArea(`USB trace recorded (${lastTrace.entries.length} entries). Use Export Trace to save it.\n`);
+        }
 
         if (downloadButton)
         {
             downloadButton.disabled = false;
         }
+        deviceBusy = false;
         updateTextArea("---------------------------------------\n");
     }
+    return sequenceFinished;
 }
 
 
-// --- Event Listener Setup (runs after DOM is fully loaded) ---
-document.addEventListener('DOMContentLoaded', () =>
+/**
+ * Captures the UI selections of a programming session, stored alongside its USB trace.
+ * @returns {object} The selections.
+ */
+function captureSessionSelections()
 {
-    // Cache DOM elements
-    firmwareSelect = document.getElementById('ddFirmware');
-    voicePackSelect = document.getElementById('ddVoicePack');
-    firmwareCheckbox = document.getElementById("cbFirmware");
-    voiceCheckbox = document.getElementById("cbVoice");
-    downloadButton = document.getElementById("btnDownload");
-    clearButton = document.getElementById("btnClearStatus");
-    statusTextArea = document.getElementById("statusArea");
-    voiceBankRadios = document.getElementsByName('voiceBank');
+    return {
+        firmware: firmwareSelect.value,
+        voicePack: voicePackSelect.value,
+        voiceBank: getVoiceBankSelection(),
+        downloadFirmware: firmwareCheckbox.checked,
+        downloadVoice: voiceCheckbox.checked
+    };
+}
 
-    // Basic check if essential elements were found
-    if (!firmwareSelect || !voicePackSelect || !firmwareCheckbox || !voiceCheckbox || !downloadButton || !clearButton || !statusTextArea || !voiceBankRadios)
+/**
+ * Restores UI selections captured by captureSessionSelections.
+ * @param {object} selections - The selections to apply.
+ */
+function applySessionSelections(selections)
+{
+    firmwareSelect.value = selections.firmware || "";
+    voicePackSelect.value = selections.voicePack || "";
+    firmwareCheckbox.checked = !!selections.downloadFirmware;
+    voiceCheckbox.checked = !!selections.downloadVoice;
+    for (const radio of voiceBankRadios)
     {
-         console.error("FATAL: One or more essential UI elements not found in the DOM.");
-         // Attempt to update text area if it exists, otherwise just log
-         const initMsg = "FATAL ERROR: UI elements missing. Cannot initialize application.\nPlease check the HTML structure and element IDs.\n";
-         if (statusTextArea) { updateTextArea(initMsg); } else { console.error(initMsg); }
-         if (downloadButton) downloadButton.disabled = true;
-         return; // Stop initialization
+        radio.checked = (radio.value === selections.voiceBank);
     }
+}
 
+/**
+ * Describes a station recipe for the status area and log, e.g. "Luxe817_129.hex + luxe_aire_stock_voice.xml to bank 2".
+ * @param {object} recipe - Selections from captureSessionSelections.
+ * @returns {string} The description.
+ */
+function describeStationRecipe(recipe)
+{
+    const parts = [];
+    if (recipe.downloadFirmware) parts.push(recipe.firmware);
+    if (recipe.downloadVoice) parts.push(`${recipe.voicePack} to bank ${(recipe.voiceBank || "").replace("bank", "")}`);
+    return parts.join(" + ");
+}
 
-    // Populate dropdowns
-    populateDownloads();
+/**
+ * Starts batch station mode: the current selections become the recipe, and every marker that is attached
+ * or plugged in from now on is programmed with it in turn until the station is stopped.
+ * @returns {Promise<void>}
+ */
+async function startStation()
+{
+    if (stationRecipe)
+    {
+        return;
+    }
+    if (!deviceInterface.hid)
+    {
+        updateTextArea("ERROR: WebHID is not available in this browser.\n");
+        return;
+    }
 
-    // Attach event listeners
-    clearButton.addEventListener('click', clearTextArea);
-    firmwareSelect.addEventListener('change', updateFirmwareSelection);
-    voicePackSelect.addEventListener('change', updateVoiceSelection);
-    downloadButton.addEventListener('click', programDevice);
+    const recipe = captureSessionSelections();
+    if (!recipe.downloadFirmware && !recipe.downloadVoice)
+    {
+        updateTextArea("Station: nothing selected to download. Check Firmware or Voice first.\n");
+        return;
+    }
+    if ((recipe.downloadFirmware && !recipe.firmware) || (recipe.downloadVoice && (!recipe.voicePack || !recipe.voiceBank)))
+    {
+        updateTextArea("Station: select the firmware, voice pack and bank to program before starting.\n");
+        return;
+    }
 
-    updateTextArea("Web Interface Initialized.\nSelect options and click Download.\n");
-    console.log("Evo USB Interface Initialized.");
-});
\ No newline at end of file
+    // The files are checked once here and every marker is programmed from memory
+    updateTextArea("Station: loading and checking the recipe's files...\n");
+    let files;
+    try
+    {
+        files = await loadSessionFiles();
+    }
+    catch (error)
+    {
+        updateTextArea(`ERROR: ${error.message}\nStation not started.\n`);
+        return;
+    }
+    // Warnings are accepted once here, since nobody will be asked again for each marker
+    if (recipe.downloadFirmware && recipe.downloadVoice && !await reportCompatibility(true, files.voice.pack))
+    {
+        updateTextArea("Station not started.\n");
+        return;
+    }
+
+    stationRecipe = recipe;
+    stationFiles = files;
+    stationQueue = [];
+    stationDone = new Set();
+    deviceInterface.reopenUnplugged = false; // Every marker plugged in is a new unit
+    updateTextArea(`--- Station started: ${describeStationRecipe(recipe)} ---\n` +
+                   "Plug in markers one after another or several at once. If a marker isn't picked up, use Add Marker to give access to it.\n");
+
+    try
+    {
+        const devices = await deviceInterface.hid.getDevices();
+        devices.forEach((device) => enqueueStationDevice(device));
+    }
+    catch (error)
+    {
+        console.warn("Could not list HID devices:", error);
+    }
+    updateStationControls();
+    processStationQueue();
+}
+
+/**
+ * Stops batch station mode. A marker being programmed is finished first (use Cancel to stop it).
+ */
+function stopStation()
+{
+    if (!stationRecipe)
+    {
+        return;
+    }
+    stationRecipe = null;
+    stationFiles = null;
+    stationQueue = [];
+    deviceInterface.reopenUnplugged = true;
+    const programmed = stationLog.filter((entry) => entry.success).length;
+    updateTextArea(`--- Station stopped${stationWorking ? " after the current marker" : ""}: ${programmed} of ${stationLog.length} markers programmed ---\n`);
+    updateStationControls();
+}
+
+/**
+ * Asks the user for access to more markers (the browser only reports markers it has been given access to).
+ * @returns {Promise<void>}
+ */
+async function addStationMarkers()
+{
+    try
+    {
+        const devices = await deviceInterface.hid.requestDevice({ filters: [{ vendorId: deviceInterface.VID, productId: deviceInterface.PID }] });
+        devices.forEach((device) => enqueueStationDevice(device));
+        processStationQueue();
+    }
+    catch (error)
+    {
+        console.error("Error requesting HID devices:", error);
+        updateTextArea(`ERROR: Could not add markers: ${error.message}\n`);
+    }
+}
+
+/**
+ * Puts a marker in line for the station unless it is already waiting, being programmed or done.
+ * @param {HIDDevice} device - The marker.
+ * @returns {boolean} True if it was added.
+ */
+function enqueueStationDevice(device)
+{
+    if (!stationRecipe || !deviceInterface.isLuxeDevice(device) || stationQueue.includes(device) ||
+        stationDone.has(device) || deviceInterface.device === device)
+    {
+        return false;
+    }
+    stationQueue.push(device);
+    updateStationControls();
+    return true;
+}
+
+/**
+ * Follows markers coming and going while the station runs.
+ * @param {CustomEvent} event - "connection" event from the device interface.
+ */
+function handleStationConnection(event)
+{
+    if (!stationRecipe)
+    {
+        return;
+    }
+    const { state, device } = event.detail;
+    if (state === "plugged")
+    {
+        if (enqueueStationDevice(device))
+        {
+            processStationQueue();
+        }
+    }
+    else if (state === "unplugged" || state === "lost")
+    {
+        // A unit that is plugged in again gets programmed again
+        stationQueue = stationQueue.filter((queued) => queued !== device);
+        stationDone.delete(device);
+        updateStationControls();
+    }
+}
+
+/**
+ * Programs the waiting markers one at a time with the station recipe, logging each outcome.
+ * Returns straight away if the queue is already being worked through.
+ * @returns {Promise<void>}
+ */
+async function processStationQueue()
+{
+    if (stationWorking)
+    {
+        return;
+    }
+    stationWorking = true;
+    try
+    {
+        while (stationRecipe && stationQueue.length > 0)
+        {
+            if (deviceBusy)
+            {
+                // Someone is making a backup or similar; try again shortly
+                setTimeout(processStationQueue, STATION_BUSY_RETRY);
+                break;
+            }
+
+            const device = stationQueue.shift();
+            const entry = {
+                number: stationLog.length + 1,
+                device: device.productName || deviceInterface.describeDevice(device),
+                recipe: describeStationRecipe(stationRecipe),
+                started: new Date().toISOString(),
+                seconds: 0,
+                success: false,
+                result: ""
+            };
+            updateStationControls(`Programming marker ${entry.number}...`);
+            updateTextArea(`=== Station: marker ${entry.number} (${entry.device}) ===\n`);
+
+            applySessionSelections(stationRecipe); // Changes made to the page meanwhile don't alter the recipe (no change events fire, so nothing is re-checked)
+            const startTime = Date.now();
+            entry.success = await programDevice(device);
+            entry.seconds = (Date.now() - startTime) / 1000;
+            entry.result = entry.success ? "Programmed" : (programmingOutcome && programmingOutcome.error) || "Failed";
+
+            try
+            {
+                // Only remember it while it is still attached, so it is programmed again once re-plugged
+                const attached = await deviceInterface.hid.getDevices();
+                if (attached.includes(device))
+                {
+                    stationDone.add(device);
+                }
+            }
+            catch (error)
+            {
+                // Treat it as still attached: its disconnect event forgets it, so it isn't programmed twice
+                console.error("Station could not list the attached markers:", error);
+                stationDone.add(device);
+                entry.result += ` (couldn't check it is still attached: ${error.message})`;
+            }
+            stationLog.push(entry);
+            addStationLogRow(entry);
+            updateTextArea(`=== Station: marker ${entry.number} ${entry.success ? "programmed" : "FAILED"} in ${formatDuration(entry.seconds)}. ` +
+                           "Unplug it and plug in the next one. ===\n");
+        }
+    }
+    finally
+    {
+        stationWorking = false;
+        updateStationControls();
+    }
+}
+
+/**
+ * Adds a marker's outcome and timing to the station log table.
+ * @param {object} entry - Log entry from processStationQueue.
+ */
+function addStationLogRow(entry)
+{
+    if (!stationLogBody) return;
+
+    const row = document.createElement("tr");
+    row.className = entry.success ? "" : "failed";
+    const cells = [String(entry.number), new Date(entry.started).toLocaleTimeString(), formatDuration(entry.seconds), entry.result];
+    for (const text of cells)
+    {
+        const cell = document.createElement("td");
+        cell.textContent = text;
+        row.appendChild(cell);
+    }
+    stationLogBody.appendChild(row);
+}
+
+/**
+ * Enables the station buttons to match its state and shows what it is doing.
+ * @param {string} [activity] - What the station is doing right now (defaults to waiting or stopped).
+ */
+function updateStationControls(activity)
+{
+    if (stationStartButton) stationStartButton.disabled = !!stationRecipe;
+    if (stationStopButton) stationStopButton.disabled = !stationRecipe;
+    if (stationAddButton) stationAddButton.disabled = !stationRecipe;
+    if (downloadButton && stationRecipe) downloadButton.disabled = true;
+    else if (downloadButton && !deviceBusy) downloadButton.disabled = false;
+    if (!stationStatusLabel) return;
+
+    const programmed = stationLog.filter((entry) => entry.success).length;
+    const failed = stationLog.length - programmed;
+    let text = "Station off.";
+    if (stationRecipe)
+    {
+        text = activity || (stationQueue.length > 0 ? `${stationQueue.length} marker(s) waiting.` : "Waiting for the next marker...");
+    }
+    if (stationLog.length > 0)
+    {
+        text += ` ${programmed} programmed, ${failed} failed.`;
+    }
+    stationStatusLabel.textContent = text;
+}
+
+/**
+ * Picks the details of a connected marker worth keeping in a session report.
+ * @param {object | null} identity - What identifyDevice read from the marker.
+ * @returns {object} Product name, model and active bank as far as known.
+ */
+function describeSessionDevice(identity)
+{
+    return {
+        description: describeConnectedDevice(),
+        productName: identity ? identity.productName : null,
+        model: identity ? identity.model : null,
+        activeBank: identity ? identity.activeBank : null
+    };
+}
+
+/**
+ * Describes a file programmed in a session from what the session actually loaded, so the report shows exactly
+ * which build went onto the marker. Nothing is downloaded again: a file that was never loaded has no digest.
+ * @param {string} url - URL path of the file.
+ * @param {{size: number | null, sha256: string | null} | null} loaded - Size and digest of the data the session used, if any.
+ * @returns {{file: string, size: number | null, sha256: string | null, publishedSha256: string | null}} The file, its size and
+ *          digest as loaded, and the digest published in config.xml.
+ */
+function describeSessionFile(url, loaded)
+{
+    const expected = catalogDigests.get(url);
+    return {
+        file: url,
+        size: loaded ? loaded.size : null,
+        sha256: loaded ? loaded.sha256 : null,
+        publishedSha256: expected ? expected.sha256 : null
+    };
+}
+
+/**
+ * Puts together the report of a programming session: what was programmed, how long each phase took,
+ * what had to be retried or went wrong, and the state the marker was left in.
+ * @param {object} session - Start time, selections, result, device, outcome, final mode and status log gathered by programDevice.
+ * @returns {object} The report, ready to save as JSON.
+ */
+function buildSessionReport(session)
+{
+    const finished = new Date();
+    const now = performance.now();
+    const { selections, outcome } = session;
+
+    const phases = [];
+    for (const state of deviceInterface.progress.values())
+    {
+        const end = state.finishedAt !== null ? state.finishedAt : now;
+        phases.push({
+            phase: state.phase,
+            label: PROGRESS_PHASE_LABELS[state.phase] || state.phase,
+            seconds: state.startedAt !== null ? Math.round(end - state.startedAt) / 1000 : null, // null: never started
+            done: state.done,
+            skipped: state.skipped,
+            total: state.total
+        });
+    }
+
+    const log = session.log.join("").split("\n").filter((line) => line.trim() !== "");
+    const voice = outcome.voice;
+    const voiceState = voice ? Object.assign({}, voice) : null;
+    if (voiceState)
+    {
+        delete voiceState.packSource; // Reported with the voice pack instead
+        delete voiceState.phraseDigests;
+    }
+    const report = {
+        format: "luxe-session-report",
+        version: 1,
+        started: session.started.toISOString(),
+        finished: finished.toISOString(),
+        seconds: (finished - session.started) / 1000,
+        result: session.result,
+        error: outcome.error || "",
+        emulated: typeof EmulatedHid !== "undefined" && deviceInterface.hid instanceof EmulatedHid,
+        stationMarker: stationRecipe ? stationLog.length + 1 : null,
+        device: session.device,
+        firmware: null,
+        voice: null,
+        phases,
+        retries: {
+            resumedFromPhrase: voice ? voice.resumedFrom : null,
+            repairedPhrases: voice ? voice.repairedPhrases : 0,
+            repairedPages: voice ? voice.repairedPages : 0
+        },
+        errors: log.filter((line) => /ERROR|FAILED|CANCELLED|Warning:/.test(line)).map((line) => line.trim()),
+        finalState: {
+            mode: session.finalMode,
+            summary: describeProgrammingOutcome(outcome),
+            firmware: outcome.firmware,
+            voice: voiceState
+        },
+        log
+    };
+    if (selections.downloadFirmware && selections.firmware)
+    {
+        const firmware = outcome.firmware;
+        report.firmware = describeSessionFile(`firmware/${selections.firmware}`, firmware && firmware.sha256 ? firmware : null);
+    }
+    if (selections.downloadVoice && selections.voicePack)
+    {
+        // The pack digest covers its definition; each phrase has the digest of the data written for it
+        const phrases = voice ? voice.phraseDigests : [];
+        const size = phrases.every((phrase) => phrase.size !== null) ? phrases.reduce((sum, phrase) => sum + phrase.size, 0) : null;
+        report.voice = describeSessionFile(`voice/${selections.voicePack}`, voice ? voice.packSource : null);
+        report.voice.bank = selections.voiceBank ? parseInt(selections.voiceBank.replace("bank", ""), 10) : null;
+        report.voice.phraseBytes = phrases.length > 0 ? size : null;
+        report.voice.phrases = phrases;
+    }
+    return report;
+}
+
+/**
+ * Loads the saved session reports from browser storage.
+ * @returns {object[]} The reports, oldest first (empty if none or unreadable).
+ */
+function loadSessionHistory()
+{
+    try
+    {
+        const history = JSON.parse(localStorage.getItem(SESSION_HISTORY_KEY) || "[]");
+        return Array.isArray(history) ? history : [];
+    }
+    catch (error)
+    {
+        console.warn("Could not load session history:", error);
+        return [];
+    }
+}
+
+/**
+ * Adds a session report to the history and saves it, dropping the oldest reports if storage runs out.
+ * @param {object} report - Report from buildSessionReport.
+ */
+function saveSessionReport(report)
+{
+    sessionHistory.push(report);
+    sessionHistory = sessionHistory.slice(-SESSION_HISTORY_LIMIT);
+    while (sessionHistory.length > 0)
+    {
+        try
+        {
+            localStorage.setItem(SESSION_HISTORY_KEY, JSON.stringify(sessionHistory));
+            break;
+        }
+        catch (error)
+        {
+            if (sessionHistory.length === 1)
+            {
+                console.warn("Could not save session history:", error); // Still exportable until the page is closed
+                break;
+            }
+            sessionHistory.shift();
+        }
+    }
+    refreshSessionHistory();
+}
+
+/**
+ * Describes a session report in one line for the history list, e.g. "19/10/2026, 14:02:11 - finished - Luxe817_129.hex + bank 2".
+ * @param {object} report - The report.
+ * @returns {string} The description.
+ */
+function describeSessionReport(report)
+{
+    const parts = [];
+    if (report.firmware) parts.push(report.firmware.file.replace(/^firmware\//, ""));
+    if (report.voice) parts.push(`${report.voice.file.replace(/^voice\//, "")} to bank ${report.voice.bank}`);
+    return `${new Date(report.started).toLocaleString()} - ${report.result} - ${parts.join(" + ")}`;
+}
+
+/**
+ * Lists the saved session reports, newest first and selected.
+ */
+function refreshSessionHistory()
+{
+    if (!sessionHistorySelect) return;
+
+    sessionHistorySelect.innerHTML = "";
+    if (sessionHistory.length === 0)
+    {
+        sessionHistorySelect.add(new Option("No sessions recorded yet", ""));
+    }
+    for (let i = sessionHistory.length - 1; i >= 0; i--)
+    {
+        sessionHistorySelect.add(new Option(describeSessionReport(sessionHistory[i]), String(i)));
+    }
+    const empty = sessionHistory.length === 0;
+    if (exportReportJsonButton) exportReportJsonButton.disabled = empty;
+    if (exportReportHtmlButton) exportReportHtmlButton.disabled = empty;
+    if (clearHistoryButton) clearHistoryButton.disabled = empty;
+}
+
+/**
+ * Escapes text for use in HTML.
+ * @param {*} value - The text (other values are converted to text; null and undefined become empty).
+ * @returns {string} The escaped text.
+ */
+function escapeHtml(value)
+{
+    return String(value === null || value === undefined ? "" : value)
+        .replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+/**
+ * Renders a session report as a standalone HTML page for people to read or attach to a support case.
+ * @param {object} report - Report from buildSessionReport.
+ * @returns {string} The HTML document.
+ */
+function renderSessionReportHtml(report)
+{
+    const row = (label, value) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`;
+    const list = (items) => items.length > 0 ? `<ul>${items.map((item) => `<li>${escapeHtml(item)}</li>`).join("")}</ul>` : "<p>None.</p>";
+    const device = report.device || {};
+    const modeLabels = {
+        "run": "Run mode",
+        "programming": "Programming mode (firmware incomplete)",
+        "unknown": "Unknown (the marker was closed or did not answer)",
+        "not connected": "Not connected"
+    };
+
+    const summary = [
+        row("Started", new Date(report.started).toLocaleString()),
+        row("Finished", new Date(report.finished).toLocaleString()),
+        row("Duration", formatDuration(report.seconds)),
+        row("Result", report.result + (report.error ? `: ${report.error}` : "")),
+        row("Device", report.device ? (device.productName || device.description) : "Not connected"),
+        row("Model", device.model || "Unknown"),
+        row("Firmware", report.firmware ? report.firmware.file : "Not programmed"),
+        row("Firmware SHA-256", report.firmware ? report.firmware.sha256 || "Not available" : ""),
+        row("Voice pack", report.voice ? `${report.voice.file} to bank ${report.voice.bank}` : "Not programmed"),
+        row("Voice pack SHA-256", report.voice ? report.voice.sha256 || "Not available" : ""),
+        row("Voice data written", report.voice && report.voice.phrases.length > 0
+            ? `${report.voice.phrases.length} phrases${report.voice.phraseBytes !== null ? `, ${report.voice.phraseBytes.toLocaleString()} bytes` : ""}` : "")
+    ];
+    if (report.stationMarker !== null) summary.push(row("Station marker", report.stationMarker));
+    if (report.emulated) summary.push(row("Emulated", "Yes, no hardware was programmed"));
+
+    const phases = report.phases.map((phase) => `<tr><td>${escapeHtml(phase.label)}</td>` +
+        `<td>${escapeHtml(phase.seconds === null ? "Not run" : formatDuration(phase.seconds))}</td>` +
+        `<td>${escapeHtml(`${Math.round((phase.done + phase.skipped) / Math.max(phase.total, 1) * 100)}%${phase.skipped > 0 ? " (part resumed)" : ""}`)}</td></tr>`);
+
+    const voicePhrases = (report.voice ? report.voice.phrases : []).map((phrase) => `<tr><td>${escapeHtml(phrase.index)}</td>` +
+        `<td>${escapeHtml(phrase.file)}</td><td>${escapeHtml(phrase.size !== null ? phrase.size : "Not recorded")}</td>` +
+        `<td>${escapeHtml(phrase.sha256 || "Not recorded")}</td></tr>`);
+
+    const retries = report.retries;
+    const retryLines = [];
+    if (retries.resumedFromPhrase !== null) retryLines.push(`Voice download resumed from phrase ${retries.resumedFromPhrase + 1}`);
+    if (retries.repairedPhrases > 0) retryLines.push(`${retries.repairedPhrases} phrases repaired during verification (${retries.repairedPages} pages rewritten)`);
+
+    return [
+        "<!DOCTYPE html>",
+        "<html lang=\"en\">",
+        "<head>",
+        "<meta charset=\"UTF-8\">",
+        `<title>Luxe programming session ${escapeHtml(report.started)}</title>`,
+        "<style>body { font-family: Arial, sans-serif; margin: 20px; } table { border-collapse: collapse; margin-bottom: 15px; } " +
+        "th, td { border: 1px solid #ccc; padding: 3px 8px; text-align: left; vertical-align: top; } pre { background: whitesmoke; padding: 10px; white-space: pre-wrap; }</style>",
+        "</head>",
+        "<body>",
+        "<h1>Luxe programming session</h1>",
+        `<table>${summary.join("")}</table>`,
+        "<h2>Phases</h2>",
+        `<table><tr><th>Phase</th><th>Duration</th><th>Done</th></tr>${phases.join("")}</table>`,
+        ...(voicePhrases.length > 0 ? [
+            "<h2>Voice phrases written</h2>",
+            `<table><tr><th>Index</th><th>File</th><th>Bytes</th><th>SHA-256</th></tr>${voicePhrases.join("")}</table>`
+        ] : []),
+        "<h2>Retries</h2>",
+        list(retryLines),
+        "<h2>Errors and warnings</h2>",
+        list(report.errors),
+        "<h2>Final device state</h2>",
+        list([`Mode: ${modeLabels[report.finalState.mode] || report.finalState.mode}`, ...report.finalState.summary]),
+        "<h2>Status log</h2>",
+        `<pre>${escapeHtml(report.log.join("\n"))}</pre>`,
+        "</body>",
+        "</html>"
+    ].join("\n");
+}
+
+/**
+ * Downloads the session report selected in the history list.
+ * @param {string} format - "json" or "html".
+ */
+function exportSessionReport(format)
+{
+    const report = sessionHistorySelect && sessionHistorySelect.value !== "" ? sessionHistory[parseInt(sessionHistorySelect.value, 10)] : null;
+    if (!report)
+    {
+        updateTextArea("No session report to export yet. Run a download first.\n");
+        return;
+    }
+    const stamp = report.started.replace(/[:.]/g, "-");
+    if (format === "html")
+    {
+        downloadFile(`luxe-session-${stamp}.html`, renderSessionReportHtml(report), "text/html");
+    }
+    else
+    {
+        downloadFile(`luxe-session-${stamp}.json`, JSON.stringify(report, null, 1), "application/json");
+    }
+    updateTextArea(`Session report exported (${describeSessionReport(report)}).\n`);
+}
+
+/**
+ * Deletes every saved session report after asking the user.
+ */
+function clearSessionHistory()
+{
+    if (sessionHistory.length === 0 || !window.confirm(`Delete all ${sessionHistory.length} saved session reports? Export any you still need first.`))
+    {
+        return;
+    }
+    sessionHistory = [];
+    try
+    {
+        localStorage.removeItem(SESSION_HISTORY_KEY);
+    }
+    catch (error)
+    {
+        console.warn("Could not clear session history:", error);
+    }
+    refreshSessionHistory();
+    updateTextArea("Session history cleared.\n");
+}
+
+/**
+ * Downloads the last recorded USB packet trace as a JSON file.
+ */
+function exportTrace()
+{
+    if (!lastTrace)
+    {
+        updateTextArea("No USB trace recorded yet. Tick 'Record USB trace' and run a download first.\n");
+        return;
+    }
+    const stamp = lastTrace.started.replace(/[:.]/g, "-");
+    downloadFile(`luxe-usb-trace-${stamp}.json`, JSON.stringify(lastTrace, null, 1), "application/json");
+    updateTextArea(`USB trace exported (${lastTrace.entries.length} entries).\n`);
+}
+
+/**
+ * Replays a saved USB trace against the current code using a fake device,
+ * then reports where (if anywhere) the packet sequence diverged from the recording.
+ * @param {File} file - The trace file selected by the user.
+ */
+async function replayTrace(file)
+{
+    let trace;
+    try
+    {
+        trace = JSON.parse(await file.text());
+        if (trace.format !== "luxe-usb-trace" || !Array.isArray(trace.entries))
+        {
+            throw new Error("not a Luxe USB trace file");
+        }
+    }
+    catch (error)
+    {
+        updateTextArea(`ERROR: Could not load trace ${file.name}: ${error.message}\n`);
+        return;
+    }
+
+    updateTextArea(`--- Replaying USB trace ${file.name} (recorded ${trace.started}) ---\n`);
+    applySessionSelections(trace.session || {});
+
+    const replayDevice = new TraceReplayDevice(trace);
+    const savedHid = deviceInterface.hid;
+    const wasTracing = traceCheckbox.checked;
+    deviceInterface.hid = new EmulatedHid(replayDevice);
+    traceCheckbox.checked = false; // Don't overwrite the last field trace with the replay
+
+    try
+    {
+        await programDevice();
+    }
+    finally
+    {
+        deviceInterface.hid = savedHid;
+        traceCheckbox.checked = wasTracing;
+    }
+
+    const result = replayDevice.getResult();
+    if (result.divergence)
+    {
+        const { position, expected, actual } = result.divergence;
+        const exchange = replayDevice.exchanges[position];
+        const entry = exchange ? trace.entries[exchange.entryIndex] : null;
+        updateTextArea(`Replay DIVERGED at packet ${position + 1} of ${result.total}` +
+                       (entry ? ` (recorded ${entry.cmd} @ ${entry.address})` : " (trace ended)") + ".\n");
+        updateTextArea(`  Expected: ${expected || "<none>"}\n  Actual:   ${actual}\n`);
+    }
+    else if (result.complete)
+    {
+        updateTextArea(`Replay matched all ${result.total} recorded packets.\n`);
+    }
+    else
+    {
+        updateTextArea(`Replay stopped after ${result.matched} of ${result.total} recorded packets.\n`);
+    }
+    updateTextArea("--- Replay Finished ---\n");
+}
+
+/**
+ * Runs a device operation inside a connect / Programming Mode / Run Mode / disconnect session.
+ * @param {string} title - Name of the operation for the status area.
+ * @param {function(): Promise<boolean>} operation - The work to do while connected; returns true on success.
+ * @returns {Promise<boolean>} True if the operation succeeded.
+ */
+async function runDeviceSession(title, operation)
+{
+    if (deviceBusy)
+    {
+        updateTextArea("Another device operation is already running.\n");
+        return false;
+    }
+
+    deviceBusy = true;
+    if (downloadButton) downloadButton.disabled = true;
+    let deviceWasConnected = false;
+    let success = false;
+
+    try
+    {
+        deviceInterface.resetProgress();
+        updateTextArea(`--- Starting ${title} ---\n`);
+        if (!await connectDevice())
+        {
+            throw new Error("Device connection failed. Aborting.");
+        }
+        deviceWasConnected = true;
+
+        if (!await deviceInterface.writeMode(PROG_MODE))
+        {
+            throw new Error("Failed to set device to Programming Mode.");
+        }
+
+        success = await operation();
+        updateTextArea(success ? `--- ${title} Finished ---\n` : `--- ${title} Failed ---\n`);
+    }
+    catch (error)
+    {
+        console.error(`Error during ${title}:`, error);
+        updateTextArea(`ERROR: ${error.message}\n--- ${title} Aborted ---\n`);
+    }
+    finally
+    {
+        if (deviceWasConnected && deviceInterface.device && deviceInterface.device.opened)
+        {
+            if (!await deviceInterface.writeMode(RUN_MODE))
+            {
+                updateTextArea("Warning: Failed to set device back to Run Mode.\n");
+            }
+            await disconnectDevice();
+        }
+        if (downloadButton) downloadButton.disabled = false;
+        deviceBusy = false;
+    }
+    return success;
+}
+
+/**
+ * Describes the EEPROM regions that can be backed up and restored.
+ * @returns {{id: string, name: string, offset: number, length: number}[]} The config sector and the three voice banks.
+ */
+function getEepromRegions()
+{
+    return [
+        { id: "config", name: "Config sector", offset: 0x000000, length: deviceInterface.EEPROM_BLOCK_SIZE },
+        { id: "bank1", name: "Voice bank 1", offset: deviceInterface.VOICE_BANK_1_OFFSET, length: deviceInterface.EEPROM_VOICE_BANK_SIZE },
+        { id: "bank2", name: "Voice bank 2", offset: deviceInterface.VOICE_BANK_2_OFFSET, length: deviceInterface.EEPROM_VOICE_BANK_SIZE },
+        { id: "bank3", name: "Voice bank 3", offset: deviceInterface.VOICE_BANK_3_OFFSET, length: deviceInterface.EEPROM_VOICE_BANK_SIZE }
+    ];
+}
+
+/**
+ * Gets the EEPROM regions ticked in the backup section.
+ * @returns {object[]} The selected regions (see getEepromRegions).
+ */
+function getSelectedBackupRegions()
+{
+    const selectedIds = Array.from(backupRegionCheckboxes).filter((cb) => cb.checked).map((cb) => cb.value);
+    return getEepromRegions().filter((region) => selectedIds.includes(region.id));
+}
+
+/**
+ * Reads one EEPROM region, a 64K block at a time so progress can be shown.
+ * @param {{name: string, offset: number, length: number}} region - The region to read.
+ * @returns {Promise<Uint8Array>} The region data.
+ * @throws {Error} If a block cannot be read.
+ */
+async function readEepromRegion(region)
+{
+    const data = new Uint8Array(region.length);
+    for (let offset = 0; offset < region.length; offset += deviceInterface.EEPROM_BLOCK_SIZE)
+    {
+        const block = await deviceInterface.readEepromRange(region.offset + offset, deviceInterface.EEPROM_BLOCK_SIZE);
+        if (block === null)
+        {
+            updateTextArea(" ERROR!\n");
+            throw new Error(`Failed to read ${region.name} at 0x${(region.offset + offset).toString(16)}`);
+        }
+        data.set(block, offset);
+        updateTextArea(".");
+    }
+    return data;
+}
+
+/**
+ * Packs region data into a single backup image with a header naming each region.
+ * @param {object} header - Backup metadata (created, device, regions with their sha256).
+ * @param {Uint8Array[]} regionData - Data of each region, in header order.
+ * @returns {Uint8Array} The backup image.
+ */
+function buildBackupImage(header, regionData)
+{
+    let dataOffset = 0;
+    header.regions.forEach((region, i) =>
+    {
+        region.dataOffset = dataOffset;
+        dataOffset += regionData[i].length;
+    });
+
+    const headerBytes = new TextEncoder().encode(JSON.stringify(header));
+    const prefixLength = BACKUP_MAGIC.length + 4;
+    const image = new Uint8Array(prefixLength + headerBytes.length + dataOffset);
+
+    image.set(new TextEncoder().encode(BACKUP_MAGIC), 0);
+    new DataView(image.buffer).setUint32(BACKUP_MAGIC.length, headerBytes.length, true);
+    image.set(headerBytes, prefixLength);
+    regionData.forEach((data, i) => image.set(data, prefixLength + headerBytes.length + header.regions[i].dataOffset));
+    return image;
+}
+
+/**
+ * Unpacks and checks a backup image produced by buildBackupImage.
+ * The header is not trusted: each region must be one of getEepromRegions() with the same offset and length,
+ * and its data must match the SHA-256 digest recorded when the backup was taken.
+ * @param {ArrayBuffer} buffer - The backup file contents.
+ * @returns {Promise<{header: object, regions: {id: string, name: string, offset: number, length: number, data: Uint8Array}[]}>} The header and each region's data (offset, length and name from getEepromRegions).
+ * @throws {Error} If the file is not a valid backup image.
+ */
+async function parseBackupImage(buffer)
+{
+    const bytes = new Uint8Array(buffer);
+    const prefixLength = BACKUP_MAGIC.length + 4;
+    const magic = (bytes.length >= prefixLength) ? new TextDecoder().decode(bytes.subarray(0, BACKUP_MAGIC.length)) : "";
+    if (magic !== BACKUP_MAGIC)
+    {
+        throw new Error("not a Luxe EEPROM backup file");
+    }
+
+    const headerLength = new DataView(buffer).getUint32(BACKUP_MAGIC.length, true);
+    const dataStart = prefixLength + headerLength;
+    if (dataStart > bytes.length)
+    {
+        throw new Error("backup file is truncated (header)");
+    }
+    const header = JSON.parse(new TextDecoder().decode(bytes.subarray(prefixLength, dataStart)));
+    if (!Array.isArray(header.regions))
+    {
+        throw new Error("backup header lists no regions");
+    }
+
+    const knownRegions = getEepromRegions();
+    const regions = [];
+    for (const entry of header.regions)
+    {
+        const region = knownRegions.find((known) => known.id === entry.id);
+        if (!region)
+        {
+            throw new Error(`backup contains an unknown region (${entry.id})`);
+        }
+        if (entry.offset !== region.offset || entry.length !== region.length)
+        {
+            throw new Error(`${region.name} in the backup is at 0x${Number(entry.offset).toString(16)} (${entry.length} bytes) ` +
+                            `but the device has it at 0x${region.offset.toString(16)} (${region.length} bytes)`);
+        }
+        if (regions.some((other) => other.id === region.id))
+        {
+            throw new Error(`backup contains ${region.name} twice`);
+        }
+        if (!Number.isInteger(entry.dataOffset) || entry.dataOffset < 0 || dataStart + entry.dataOffset + region.length > bytes.length)
+        {
+            throw new Error(`backup file is truncated (region ${region.name})`);
+        }
+
+        const start = dataStart + entry.dataOffset;
+        const data = bytes.subarray(start, start + region.length);
+        if (typeof entry.sha256 !== "string" || await sha256Hex(data) !== entry.sha256.toLowerCase())
+        {
+            throw new Error(`${region.name} does not match its checksum (corrupted backup file)`);
+        }
+        regions.push(Object.assign({}, region, { sha256: entry.sha256.toLowerCase(), data }));
+    }
+    return { header, regions };
+}
+
+/**
+ * Reads the selected EEPROM regions from the device and saves them as one backup file.
+ */
+async function backupEeprom()
+{
+    const regions = getSelectedBackupRegions();
+    if (regions.length === 0)
+    {
+        updateTextArea("Select at least one region to back up.\n");
+        return;
+    }
+
+    const regionData = [];
+    const header = { created: new Date().toISOString(), device: "", regions: [] };
+
+    const success = await runDeviceSession("EEPROM Backup", async () =>
+    {
+        header.device = describeConnectedDevice();
+        for (const region of regions)
+        {
+            updateTextArea(`Reading ${region.name} (0x${region.offset.toString(16)}, ${region.length / 1024}K)...`);
+            const data = await readEepromRegion(region);
+            updateTextArea(" done.\n");
+
+            header.regions.push({ id: region.id, name: region.name, offset: region.offset, length: region.length, sha256: await sha256Hex(data) });
+            regionData.push(data);
+        }
+        return true;
+    });
+
+    if (success)
+    {
+        const stamp = header.created.replace(/[:.]/g, "-");
+        downloadFile(`luxe-eeprom-backup-${stamp}.bin`, buildBackupImage(header, regionData), "application/octet-stream");
+        updateTextArea(`Backup saved (${header.regions.map((r) => r.name).join(", ")}).\n`);
+    }
+}
+
+/**
+ * Erases, rewrites and reads back the selected regions from a backup file.
+ * Only regions that are both ticked and present in the file are restored.
+ * @param {File} file - The backup file selected by the user.
+ */
+async function restoreEeprom(file)
+{
+    let backup;
+    try
+    {
+        backup = await parseBackupImage(await file.arrayBuffer());
+    }
+    catch (error)
+    {
+        updateTextArea(`ERROR: Could not load backup ${file.name}: ${error.message}\n`);
+        return;
+    }
+
+    const selectedIds = getSelectedBackupRegions().map((region) => region.id);
+    const regions = backup.regions.filter((region) => selectedIds.includes(region.id));
+    const available = backup.regions.map((region) => region.name).join(", ");
+    if (regions.length === 0)
+    {
+        updateTextArea(`None of the ticked regions are in ${file.name} (it contains: ${available}).\n`);
+        return;
+    }
+
+    const restoreText = `Restore ${regions.map((r) => r.name).join(", ")} from the backup taken ${backup.header.created}?\n\n` +
+                        "The current contents of these regions on the device will be erased.";
+    if (!window.confirm(restoreText))
+    {
+        updateTextArea("Restore cancelled.\n");
+        return;
+    }
+
+    await runDeviceSession("EEPROM Restore", async () =>
+    {
+        if (backup.header.device && backup.header.device !== describeConnectedDevice())
+        {
+            updateTextArea(`Warning: backup was taken from a different device (${backup.header.device}).\n`);
+        }
+
+        for (const region of regions)
+        {
+            updateTextArea(`Restoring ${region.name} (0x${region.offset.toString(16)})... erasing...`);
+            if (!await deviceInterface.eraseEepromRange(region.offset, region.length))
+            {
+                updateTextArea(" ERROR!\n");
+                throw new Error(`Failed to erase ${region.name}`);
+            }
+
+            updateTextArea(" writing...");
+            if (!await deviceInterface.writeEepromRange(region.offset, region.data))
+            {
+                updateTextArea(" ERROR!\n");
+                throw new Error(`Failed to write ${region.name}`);
+            }
+
+            updateTextArea(" verifying");
+            const restored = await readEepromRegion(region);
+            if (await sha256Hex(restored) !== region.sha256)
+            {
+                updateTextArea(" FAILED!\n");
+                throw new Error(`${region.name} does not match the backup after restoring`);
+            }
+            updateTextArea(" done.\n");
+
+            if (region.id !== "config")
+            {
+                clearVoiceJournal(region.offset); // Any interrupted download to this bank no longer applies
+            }
+        }
+        return true;
+    });
+}
+
+/**
+ * Loads a voice pack XML definition and lists its phrases. Archives (.lvp) are loaded with loadVoicePackArchive.
+ * @param {string} voicePackXmlFile - URL path to the voice pack XML definition or archive.
+ * @returns {Promise<{path: string, declaredCount: number | null, fingerprint: string, size: number, sha256: string, phrases: {index: number, desc: string, fileName: string | null, filePath: string | null, digest: object | null}[]}>}
+ *          The pack's file path, its declared phraseCount, a fingerprint, size and SHA-256 digest of the definition as downloaded, and every phrase
+ *          (index is NaN and file is null when the tags are missing; digest is the published size and SHA-256, if any).
+ * @throws {Error} If the XML cannot be fetched.
+ */
+async function loadVoicePackDefinition(voicePackXmlFile)
+{
+    if (/\.lvp$/i.test(voicePackXmlFile))
+    {
+        return await loadVoicePackArchive(voicePackXmlFile);
+    }
+
+    const response = await fetchResource(voicePackXmlFile);
+    if (!response.ok)
+    {
+        throw new Error(`Failed to fetch voice pack XML: ${response.statusText}`);
+    }
+    const xmlBytes = new Uint8Array(await response.arrayBuffer());
+    const xmlText = new TextDecoder().decode(xmlBytes);
+    const xmlDoc = new DOMParser().parseFromString(xmlText, "text/xml");
+    if (xmlDoc.querySelector("parsererror"))
+    {
+        throw new Error(`Voice pack XML is not well-formed: ${voicePackXmlFile}`);
+    }
+
+    const pathElement = xmlDoc.querySelector("path");
+    const path = pathElement ? pathElement.textContent.trim() : "";
+    const countElement = xmlDoc.querySelector("phraseCount");
+
+    const phrases = Array.from(xmlDoc.querySelectorAll("phrase")).map((phrase) =>
+    {
+        const indexElement = phrase.querySelector("index");
+        const descElement = phrase.querySelector("desc");
+        const fileElement = phrase.querySelector("file");
+        const fileName = fileElement ? fileElement.textContent.trim() : null;
+        return {
+            index: indexElement ? parseInt(indexElement.textContent.trim(), 10) : NaN,
+            desc: descElement ? descElement.textContent.trim() : "",
+            fileName: fileName,
+            filePath: fileName ? (path ? `${path.replace(/\/$/, '')}/${fileName}` : fileName) : null,
+            digest: fileElement ? readFileDigest(fileElement) : null
+        };
+    });
+
+    return {
+        path,
+        declaredCount: countElement ? parseInt(countElement.textContent.trim(), 10) : null,
+        fingerprint: fingerprintText(xmlText),
+        size: xmlBytes.length,
+        sha256: await sha256Hex(xmlBytes),
+        phrases
+    };
+}
+
+/**
+ * Packs a voice pack into a single archive file: a JSON manifest listing every phrase with its
+ * position in the file and SHA-256 digest, followed by the phrase data.
+ * @param {string} name - Pack name, recorded in the manifest.
+ * @param {{index: number, desc: string, fileName: string, data: Uint8Array}[]} phrases - The phrases and their voice data.
+ * @returns {Promise<Uint8Array>} The archive.
+ */
+async function buildVoicePackArchive(name, phrases)
+{
+    const manifest = {
+        format: "luxe-voice-pack",
+        version: 1,
+        name: name,
+        created: new Date().toISOString(),
+        phraseCount: phrases.length,
+        phrases: []
+    };
+
+    let dataOffset = 0;
+    for (const phrase of phrases)
+    {
+        manifest.phrases.push({
+            index: phrase.index,
+            desc: phrase.desc,
+            file: phrase.fileName,
+            offset: dataOffset,
+            length: phrase.data.length,
+            sha256: await sha256Hex(phrase.data)
+        });
+        dataOffset += phrase.data.length;
+    }
+
+    const manifestBytes = new TextEncoder().encode(JSON.stringify(manifest));
+    const prefixLength = VOICE_ARCHIVE_MAGIC.length + 4;
+    const archive = new Uint8Array(prefixLength + manifestBytes.length + dataOffset);
+
+    archive.set(new TextEncoder().encode(VOICE_ARCHIVE_MAGIC), 0);
+    new DataView(archive.buffer).setUint32(VOICE_ARCHIVE_MAGIC.length, manifestBytes.length, true);
+    archive.set(manifestBytes, prefixLength);
+    phrases.forEach((phrase, i) => archive.set(phrase.data, prefixLength + manifestBytes.length + manifest.phrases[i].offset));
+    return archive;
+}
+
+/**
+ * Unpacks a voice pack archive produced by buildVoicePackArchive, checking every phrase against its digest.
+ * @param {ArrayBuffer} buffer - The archive contents.
+ * @returns {Promise<{manifest: object, manifestText: string, phrases: {index: number, desc: string, fileName: string, sha256: string, data: Uint8Array}[]}>}
+ *          The manifest (and its text) and each phrase's data.
+ * @throws {Error} If the file is not an archive, is truncated or any phrase fails its checksum.
+ */
+async function parseVoicePackArchive(buffer)
+{
+    const bytes = new Uint8Array(buffer);
+    const prefixLength = VOICE_ARCHIVE_MAGIC.length + 4;
+    if (bytes.length < prefixLength || new TextDecoder().decode(bytes.subarray(0, VOICE_ARCHIVE_MAGIC.length)) !== VOICE_ARCHIVE_MAGIC)
+    {
+        throw new Error("not a Luxe voice pack archive");
+    }
+
+    const manifestLength = new DataView(buffer).getUint32(VOICE_ARCHIVE_MAGIC.length, true);
+    if (prefixLength + manifestLength > bytes.length)
+    {
+        throw new Error("voice pack archive is truncated (manifest)");
+    }
+    const manifestText = new TextDecoder().decode(bytes.subarray(prefixLength, prefixLength + manifestLength));
+    let manifest;
+    try
+    {
+        manifest = JSON.parse(manifestText);
+    }
+    catch (error)
+    {
+        throw new Error("voice pack archive manifest is damaged");
+    }
+    if (!manifest || manifest.format !== "luxe-voice-pack" || manifest.version !== 1)
+    {
+        throw new Error(`unsupported voice pack archive version (${manifest ? `${manifest.format} ${manifest.version}` : "no manifest"})`);
+    }
+    if (!Array.isArray(manifest.phrases))
+    {
+        throw new Error("voice pack archive manifest has no phrase list");
+    }
+    const dataStart = prefixLength + manifestLength;
+
+    const phrases = [];
+    const corrupt = [];
+    for (const entry of manifest.phrases)
+    {
+        if (!entry || typeof entry.file !== "string" || typeof entry.sha256 !== "string")
+        {
+            throw new Error("voice pack archive manifest has a phrase without a file name or digest");
+        }
+        if (!Number.isInteger(entry.offset) || entry.offset < 0 || !Number.isInteger(entry.length) || entry.length < 0)
+        {
+            throw new Error(`voice pack archive has an invalid offset or length for ${entry.file}`);
+        }
+        const start = dataStart + entry.offset;
+        if (start + entry.length > bytes.length)
+        {
+            throw new Error(`voice pack archive is truncated (${entry.file})`);
+        }
+        const data = bytes.subarray(start, start + entry.length);
+        if (await sha256Hex(data) !== entry.sha256)
+        {
+            corrupt.push(entry.file);
+        }
+        phrases.push({ index: entry.index, desc: entry.desc, fileName: entry.file, sha256: entry.sha256, data });
+    }
+    if (corrupt.length > 0)
+    {
+        throw new Error(`checksum mismatch in ${corrupt.join(", ")}`);
+    }
+    return { manifest, manifestText, phrases };
+}
+
+// The voice pack archive whose phrases are in memoryFiles: { url, source, pack }, or null.
+// source is what the archive was loaded from (its published SHA-256, or the in-memory archive itself).
+let loadedVoiceArchive = null;
+
+/**
+ * Tells which copy of an archive a load would get, without downloading it.
+ * @param {string} archiveUrl - URL path to the .lvp archive.
+ * @returns {string | Uint8Array | null} The in-memory archive, else its published SHA-256, else null.
+ */
+function voiceArchiveSource(archiveUrl)
+{
+    if (memoryFiles.has(archiveUrl))
+    {
+        return memoryFiles.get(archiveUrl);
+    }
+    const expected = catalogDigests.get(archiveUrl);
+    return expected && expected.sha256 ? expected.sha256 : null;
+}
+
+/**
+ * Frees the phrases of the loaded voice pack archive unless it is the one given.
+ * @param {string | null} keepUrl - URL path of the archive still in use, if any.
+ */
+function releaseVoiceArchive(keepUrl = null)
+{
+    if (!loadedVoiceArchive || loadedVoiceArchive.url === keepUrl)
+    {
+        return;
+    }
+    loadedVoiceArchive.pack.phrases.forEach((phrase) => memoryFiles.delete(phrase.filePath));
+    loadedVoiceArchive = null;
+}
+
+/**
+ * Loads a voice pack archive with one fetch and verifies it. Its phrases are served from memory as
+ * "<archive URL>/<file>" so they can be used everywhere a pack's phrase files are. The archive is parsed
+ * once: later loads of the same copy return the same definition until another pack is selected.
+ * @param {string} archiveUrl - URL path to the .lvp archive.
+ * @returns {Promise<object>} The pack definition, in the form returned by loadVoicePackDefinition.
+ * @throws {Error} If the archive cannot be fetched or fails verification.
+ */
+async function loadVoicePackArchive(archiveUrl)
+{
+    const source = voiceArchiveSource(archiveUrl);
+    if (loadedVoiceArchive && loadedVoiceArchive.url === archiveUrl && source !== null && loadedVoiceArchive.source === source)
+    {
+        return loadedVoiceArchive.pack;
+    }
+
+    const response = await fetchResource(archiveUrl);
+    if (!response.ok)
+    {
+        throw new Error(`Failed to fetch voice pack archive: ${response.statusText}`);
+    }
+
+    const buffer = await response.arrayBuffer();
+    let archive;
+    try
+    {
+        archive = await parseVoicePackArchive(buffer);
+    }
+    catch (error)
+    {
+        throw new Error(`Voice pack archive ${archiveUrl} is invalid: ${error.message}`);
+    }
+
+    releaseVoiceArchive(); // Only one archive's phrases are kept in memory
+    const phrases = archive.phrases.map((phrase) =>
+    {
+        const filePath = `${archiveUrl}/${phrase.fileName}`;
+        memoryFiles.set(filePath, phrase.data);
+        return { index: phrase.index, desc: phrase.desc, fileName: phrase.fileName, filePath, digest: { sha256: phrase.sha256, size: phrase.data.length } };
+    });
+
+    const pack = {
+        path: archiveUrl,
+        declaredCount: archive.manifest.phraseCount,
+        fingerprint: fingerprintText(archive.manifestText),
+        size: buffer.byteLength,
+        sha256: await sha256Hex(buffer),
+        phrases
+    };
+    loadedVoiceArchive = { url: archiveUrl, source: voiceArchiveSource(archiveUrl), pack };
+    return pack;
+}
+
+/**
+ * Downloads a voice pack definition and every phrase file it lists, once, so a programming session
+ * can validate, plan and write the pack from memory.
+ * @param {string} voicePackXmlFile - URL path to the voice pack XML definition or archive.
+ * @returns {Promise<{pack: object, files: Map<string, Uint8Array | null>}>} The definition (see loadVoicePackDefinition)
+ *          and the contents of each phrase file by path (null if it couldn't be downloaded).
+ * @throws {Error} If the definition cannot be loaded.
+ */
+async function loadVoicePackFiles(voicePackXmlFile)
+{
+    const pack = await loadVoicePackDefinition(voicePackXmlFile);
+    const files = new Map();
+    for (const phrase of pack.phrases)
+    {
+        if (phrase.filePath && !files.has(phrase.filePath))
+        {
+            files.set(phrase.filePath, await deviceInterface.fetchVoiceFile(phrase.filePath));
+        }
+    }
+    return { pack, files };
+}
+
+/**
+ * Converts the selected voice pack (any format) into a single .lvp archive file and downloads it.
+ */
+async function exportVoicePackArchive()
+{
+    const voicePackFileName = voicePackSelect.value;
+    if (!voicePackFileName)
+    {
+        updateTextArea("Select a voice pack to convert.\n");
+        return;
+    }
+
+    exportArchiveButton.disabled = true;
+    try
+    {
+        updateTextArea(`Converting ${voicePackFileName} to a voice pack archive...\n`);
+        const pack = await loadVoicePackDefinition(`voice/${voicePackFileName}`);
+        const phrases = [];
+        for (const phrase of pack.phrases)
+        {
+            if (isNaN(phrase.index) || !phrase.filePath) continue; // Skipped when programming as well
+            const data = await deviceInterface.fetchVoiceFile(phrase.filePath);
+            if (!data)
+            {
+                throw new Error(`could not load ${phrase.fileName}`);
+            }
+            phrases.push({ index: phrase.index, desc: phrase.desc, fileName: phrase.fileName, data });
+        }
+
+        const baseName = voicePackFileName.split("/").pop().replace(/\.(xml|lvp)$/i, "");
+        const archive = await buildVoicePackArchive(baseName, phrases);
+        downloadFile(`${baseName}.lvp`, archive, "application/octet-stream");
+        updateTextArea(`Saved ${baseName}.lvp: ${phrases.length} phrases, ${archive.length.toLocaleString()} bytes.\n`);
+    }
+    catch (error)
+    {
+        console.error("Error converting voice pack:", error);
+        updateTextArea(`ERROR: Could not convert voice pack: ${error.message}\n`);
+    }
+    finally
+    {
+        exportArchiveButton.disabled = false;
+    }
+}
+
+/**
+ * Gets the size of a file on the server, preferring a HEAD request.
+ * @param {string} url - The file URL.
+ * @returns {Promise<number | null>} The size in bytes, or null if the file is unavailable.
+ */
+async function fetchFileSize(url)
+{
+    try
+    {
+        const head = await fetchResource(url, { method: "HEAD" });
+        const length = head.ok ? head.headers.get("content-length") : null;
+        if (length !== null)
+        {
+            return parseInt(length, 10);
+        }
+
+        // Server didn't report a length, fall back to downloading the file
+        const response = await fetchResource(url);
+        return response.ok ? (await response.arrayBuffer()).byteLength : null;
+    }
+    catch (error)
+    {
+        console.warn(`Could not get size of ${url}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Checks a voice pack XML and every file it references, collecting all problems instead of stopping at the first.
+ * @param {string} voicePackXmlFile - URL path to the voice pack XML definition.
+ * @param {{pack: object, files: Map<string, Uint8Array | null>} | null} [loaded] - The pack and its phrase data if already
+ *          downloaded (see loadVoicePackFiles); every file is then checked in memory.
+ * @returns {Promise<{phraseCount: number, errors: string[], warnings: string[]}>} Phrases found and the issues detected.
+ *          Any error means the pack must not be programmed.
+ */
+async function validateVoicePack(voicePackXmlFile, loaded = null)
+{
+    const result = { phraseCount: 0, errors: [], warnings: [] };
+
+    let pack = loaded ? loaded.pack : null;
+    try
+    {
+        pack = pack || await loadVoicePackDefinition(voicePackXmlFile);
+    }
+    catch (error)
+    {
+        result.errors.push(error.message);
+        return result;
+    }
+    result.phraseCount = pack.phrases.length;
+
+    if (!pack.path)
+    {
+        result.errors.push("Missing <path> element");
+    }
+    if (pack.declaredCount === null || isNaN(pack.declaredCount))
+    {
+        result.errors.push("Missing or invalid <phraseCount> element");
+    }
+    else if (pack.declaredCount !== pack.phrases.length)
+    {
+        result.errors.push(`<phraseCount> is ${pack.declaredCount} but the pack has ${pack.phrases.length} phrases`);
+    }
+    if (pack.phrases.length === 0)
+    {
+        result.errors.push("Pack has no <phrase> elements");
+        return result;
+    }
+
+    const mapEntries = Math.floor(deviceInterface.EEPROM_VOICE_MAP_OFFSET / deviceInterface.EEPROM_VOICE_MAP_ENTRY_SIZE);
+    const indexes = new Map(); // index -> file name of the first phrase using it
+    const fileNames = new Set();
+
+    for (const [position, phrase] of pack.phrases.entries())
+    {
+        const label = phrase.fileName ? `${phrase.fileName} (phrase ${position + 1})` : `Phrase ${position + 1}`;
+
+        if (isNaN(phrase.index) || phrase.index < 0)
+        {
+            result.errors.push(`${label}: missing or invalid <index>`);
+        }
+        else if (indexes.has(phrase.index))
+        {
+            result.errors.push(`${label}: duplicate index ${phrase.index}, already used by ${indexes.get(phrase.index)}`);
+        }
+        else
+        {
+            indexes.set(phrase.index, phrase.fileName);
+            if (phrase.index >= mapEntries)
+            {
+                result.errors.push(`${label}: index ${phrase.index} is beyond the voice map (0-${mapEntries - 1})`);
+            }
+        }
+
+        if (!phrase.desc)
+        {
+            result.warnings.push(`${label}: missing <desc>`);
+        }
+
+        if (!phrase.fileName)
+        {
+            result.errors.push(`${label}: missing <file>`);
+            continue;
+        }
+        if (fileNames.has(phrase.fileName))
+        {
+            result.warnings.push(`${label}: file is also used by another phrase`);
+        }
+        fileNames.add(phrase.fileName);
+
+        if (phrase.digest || loaded)
+        {
+            // Published size and digest: the whole file has to be checked
+            const data = loaded ? loaded.files.get(phrase.filePath) : await deviceInterface.fetchVoiceFile(phrase.filePath);
+            const integrityError = data ? await checkFileIntegrity(data, phrase.digest) : null;
+            if (!data)
+            {
+                result.errors.push(`${label}: file not found at ${phrase.filePath}`);
+            }
+            else if (integrityError)
+            {
+                result.errors.push(`${label}: ${integrityError}`);
+            }
+            else if (data.length === 0)
+            {
+                result.errors.push(`${label}: file is empty`);
+            }
+            continue;
+        }
+
+        const size = await fetchFileSize(phrase.filePath);
+        if (size === null)
+        {
+            result.errors.push(`${label}: file not found at ${phrase.filePath}`);
+        }
+        else if (size === 0)
+        {
+            result.errors.push(`${label}: file is empty`);
+        }
+    }
+
+    // The firmware looks phrases up by index, so every index up to the highest must be present
+    if (indexes.size > 0)
+    {
+        const highestIndex = Math.max(...indexes.keys());
+        const missing = [];
+        for (let index = 0; index <= highestIndex; index++)
+        {
+            if (!indexes.has(index)) missing.push(index);
+        }
+        if (missing.length > 0)
+        {
+            result.errors.push(`Missing phrase indexes: ${formatIndexRanges(missing)}`);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Validates a voice pack and prints the outcome to the status area.
+ * @param {string} voicePackFileName - Voice pack XML file name (under voice/).
+ * @param {object | null} [loaded] - The pack and its phrase data if already downloaded (see validateVoicePack).
+ * @returns {Promise<boolean>} True if the pack has no errors (warnings are allowed).
+ */
+async function reportVoicePackValidation(voicePackFileName, loaded = null)
+{
+    updateTextArea(`Validating voice pack ${voicePackFileName}...\n`);
+    const result = await validateVoicePack(`voice/${voicePackFileName}`, loaded);
+
+    result.errors.forEach((error) => updateTextArea(`  ERROR: ${error}\n`));
+    result.warnings.forEach((warning) => updateTextArea(`  Warning: ${warning}\n`));
+    updateTextArea(`  ${result.phraseCount} phrases, ${result.errors.length} errors, ${result.warnings.length} warnings.\n`);
+
+    return result.errors.length === 0;
+}
+
+/**
+ * Validates the selected voice pack, or every pack in the catalog if none is selected. Needs no device.
+ */
+async function validateVoicePacks()
+{
+    const packNames = voicePackSelect.value
+        ? [voicePackSelect.value]
+        : Array.from(voicePackSelect.options).map((option) => option.value).filter((value) => value);
+
+    if (packNames.length === 0)
+    {
+        updateTextArea("No voice packs to validate.\n");
+        return;
+    }
+
+    validatePackButton.disabled = true;
+    try
+    {
+        for (const packName of packNames)
+        {
+            await reportVoicePackValidation(packName);
+        }
+    }
+    finally
+    {
+        validatePackButton.disabled = false;
+    }
+}
+
+/**
+ * Builds (and caches) the phrase length signature of a voice pack: the byte length of each phrase by index.
+ * @param {string} voicePackFileName - Voice pack XML file name (under voice/).
+ * @returns {Promise<Map<number, number> | null>} Phrase index to length, or null if the pack can't be loaded.
+ */
+async function getVoicePackSignature(voicePackFileName)
+{
+    if (voicePackSignatures.has(voicePackFileName))
+    {
+        return voicePackSignatures.get(voicePackFileName);
+    }
+
+    try
+    {
+        const pack = await loadVoicePackDefinition(`voice/${voicePackFileName}`);
+        const signature = new Map();
+        for (const phrase of pack.phrases)
+        {
+            if (isNaN(phrase.index) || !phrase.filePath) continue;
+            const size = await fetchFileSize(phrase.filePath);
+            if (size !== null) signature.set(phrase.index, size);
+        }
+        voicePackSignatures.set(voicePackFileName, signature);
+        return signature;
+    }
+    catch (error)
+    {
+        console.warn(`Could not build signature for ${voicePackFileName}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Finds the known voice pack whose phrase lengths best match a bank's voice map.
+ * @param {{index: number, startAdd: number, endAdd: number}[]} entries - The bank's valid map entries.
+ * @returns {Promise<{pack: string, matched: number, total: number} | null>} Best matching pack and how many
+ *          phrase lengths agree out of all phrases in either the bank or the pack, or null if no packs are known.
+ */
+async function identifyVoicePack(entries)
+{
+    let best = null;
+    const packNames = Array.from(voicePackSelect.options).map((option) => option.value).filter((value) => value);
+
+    for (const packName of packNames)
+    {
+        const signature = await getVoicePackSignature(packName);
+        if (!signature) continue;
+
+        const matched = entries.filter((entry) => signature.get(entry.index) === entry.endAdd - entry.startAdd + 1).length;
+        const total = Math.max(entries.length, signature.size);
+        if (!best || matched / total > best.matched / best.total)
+        {
+            best = { pack: packName, matched, total };
+        }
+    }
+    return best;
+}
+
+/**
+ * Shows how full a bank is on its fill gauge.
+ * @param {number} bankNumber - Bank number (1-3).
+ * @param {number} usedBytes - Bytes of phrase data in (or planned for) the bank.
+ * @param {string} note - Short description, e.g. "installed" or "planned".
+ */
+function updateBankGauge(bankNumber, usedBytes, note)
+{
+    const gauge = document.getElementById(`gaugeBank${bankNumber}`);
+    const gaugeText = document.getElementById(`gaugeBank${bankNumber}Text`);
+    if (!gauge || !gaugeText) return;
+
+    const capacity = deviceInterface.EEPROM_VOICE_BANK_SIZE - deviceInterface.EEPROM_VOICE_MAP_OFFSET;
+    gauge.value = Math.min(usedBytes / capacity, 1);
+    gaugeText.textContent = `${Math.round(usedBytes / capacity * 100)}% ${note}`;
+}
+
+/**
+ * Works out where every phrase of a voice pack would go in a bank before anything is erased,
+ * and checks the data fits in the bank and every phrase index fits in the voice map region.
+ * @param {string} voicePackXmlFile - URL path to the voice pack XML definition.
+ * @param {number} bankOffset - The starting address of the target voice bank.
+ * @param {{pack: object, files: Map<string, Uint8Array | null>} | null} [loaded] - The pack and its phrase data if already downloaded.
+ * @returns {Promise<{phrases: object[], totalBytes: number, capacity: number, highestIndex: number, errors: string[]}>}
+ *          The planned address of each phrase, bytes needed and available, and every reason the pack can't be written.
+ */
+async function planVoicePackLayout(voicePackXmlFile, bankOffset, loaded = null)
+{
+    const plan = { phrases: [], totalBytes: 0, capacity: 0, highestIndex: -1, errors: [] };
+    const bankEnd = bankOffset + deviceInterface.EEPROM_VOICE_BANK_SIZE - 1;
+    const mapEntries = Math.floor(deviceInterface.EEPROM_VOICE_MAP_OFFSET / deviceInterface.EEPROM_VOICE_MAP_ENTRY_SIZE);
+    plan.capacity = deviceInterface.EEPROM_VOICE_BANK_SIZE - deviceInterface.EEPROM_VOICE_MAP_OFFSET;
+
+    let pack = loaded ? loaded.pack : null;
+    try
+    {
+        pack = pack || await loadVoicePackDefinition(voicePackXmlFile);
+    }
+    catch (error)
+    {
+        plan.errors.push(error.message);
+        return plan;
+    }
+
+    let currentAddressPtr = bankOffset + deviceInterface.EEPROM_VOICE_MAP_OFFSET;
+    for (const phrase of pack.phrases)
+    {
+        if (isNaN(phrase.index) || !phrase.filePath) continue; // Skipped by processVoicePack as well
+
+        const data = loaded ? loaded.files.get(phrase.filePath) : null;
+        const size = loaded ? (data ? data.length : null) : await fetchFileSize(phrase.filePath);
+        if (size === null)
+        {
+            plan.errors.push(`Cannot get size of ${phrase.fileName} (index ${phrase.index})`);
+            continue;
+        }
+        if (size === 0)
+        {
+            plan.errors.push(`${phrase.fileName} (index ${phrase.index}) is empty`);
+            continue;
+        }
+
+        const startAdd = currentAddressPtr;
+        const endAdd = startAdd + size - 1;
+        plan.phrases.push({ index: phrase.index, fileName: phrase.fileName, size, startAdd, endAdd });
+        plan.totalBytes += size;
+        plan.highestIndex = Math.max(plan.highestIndex, phrase.index);
+        currentAddressPtr = endAdd + 1;
+    }
+
+    // Data must stay inside the bank
+    const overflowing = plan.phrases.filter((phrase) => phrase.endAdd > bankEnd);
+    if (overflowing.length > 0)
+    {
+        const names = overflowing.slice(0, 5).map((phrase) => `${phrase.fileName} (index ${phrase.index})`).join(", ");
+        plan.errors.push(`Phrase data needs ${plan.totalBytes.toLocaleString()} bytes but the bank holds ${plan.capacity.toLocaleString()} ` +
+                         `(${(plan.totalBytes - plan.capacity).toLocaleString()} over). ${overflowing.length} phrases would overflow: ${names}` +
+                         (overflowing.length > 5 ? ", ..." : ""));
+    }
+
+    // Every index needs its own entry in the map region at the start of the bank
+    const outsideMap = plan.phrases.filter((phrase) => phrase.index < 0 || phrase.index >= mapEntries);
+    if (outsideMap.length > 0)
+    {
+        plan.errors.push(`The voice map holds indexes 0-${mapEntries - 1} (0x${deviceInterface.EEPROM_VOICE_MAP_OFFSET.toString(16)} bytes), ` +
+                         `but the pack uses ${outsideMap.map((phrase) => phrase.index).join(", ")}`);
+    }
+
+    return plan;
+}
+
+/**
+ * Reads the voice map of every bank and reports what is installed.
+ */
+async function scanVoiceBanks()
+{
+    const banks = [
+        { name: "Bank 1", offset: deviceInterface.VOICE_BANK_1_OFFSET },
+        { name: "Bank 2", offset: deviceInterface.VOICE_BANK_2_OFFSET },
+        { name: "Bank 3", offset: deviceInterface.VOICE_BANK_3_OFFSET }
+    ];
+
+    // The voice maps are read while the device is identified on connect
+    const success = await runDeviceSession("Voice Bank Scan", async () =>
+    {
+        if (!deviceIdentity)
+        {
+            throw new Error("Failed to read the voice maps.");
+        }
+        return true;
+    });
+    if (!success)
+    {
+        return;
+    }
+    const maps = deviceIdentity.banks.map((bank) => bank.entries);
+
+    // Identification only needs the server, so do it after the device is released
+    updateTextArea("Voice bank inventory:\n");
+    for (let i = 0; i < banks.length; i++)
+    {
+        const bank = banks[i];
+        const entries = maps[i].filter((entry) => entry.valid);
+        const invalidCount = maps[i].length - entries.length;
+
+        if (maps[i].length === 0)
+        {
+            updateBankGauge(i + 1, 0, "empty");
+            updateTextArea(`  ${bank.name}: empty\n`);
+            continue;
+        }
+
+        const totalBytes = entries.reduce((sum, entry) => sum + entry.endAdd - entry.startAdd + 1, 0);
+        const highestEnd = entries.reduce((max, entry) => Math.max(max, entry.endAdd), bank.offset + deviceInterface.EEPROM_VOICE_MAP_OFFSET - 1);
+        const freeBytes = bank.offset + deviceInterface.EEPROM_VOICE_BANK_SIZE - (highestEnd + 1);
+
+        updateBankGauge(i + 1, highestEnd + 1 - bank.offset - deviceInterface.EEPROM_VOICE_MAP_OFFSET, "installed");
+
+        let summary = `  ${bank.name}: ${entries.length} phrases, ${totalBytes.toLocaleString()} bytes, ${freeBytes.toLocaleString()} bytes free`;
+        if (invalidCount > 0)
+        {
+            summary += `, ${invalidCount} invalid map entries`;
+        }
+
+        const match = await identifyVoicePack(entries);
+        if (match && match.matched === match.total)
+        {
+            summary += ` - ${match.pack}`;
+        }
+        else if (match && match.matched / match.total >= 0.9)
+        {
+            summary += ` - probably ${match.pack} (${match.matched}/${match.total} phrase lengths match)`;
+        }
+        else
+        {
+            summary += " - unknown pack" + (match ? ` (closest: ${match.pack}, ${match.matched}/${match.total})` : "");
+        }
+        updateTextArea(summary + "\n");
+    }
+}
+
+/**
+ * Plays voice file samples through Web Audio at the device sample rate.
+ * @param {Uint8Array} samples - Mono 8-bit unsigned samples, as stored in the voice banks.
+ * @returns {Promise<void>} Resolves when playback ends or is stopped.
+ */
+function playVoiceSamples(samples)
+{
+    if (!previewContext)
+    {
+        previewContext = new AudioContext();
+    }
+
+    const buffer = previewContext.createBuffer(1, samples.length, VOICE_SAMPLE_RATE);
+    const channelData = buffer.getChannelData(0);
+    for (let i = 0; i < samples.length; i++)
+    {
+        channelData[i] = Math.max(-1, (samples[i] - 127) / 127); // 0x7f is silence
+    }
+
+    return new Promise((resolve) =>
+    {
+        const source = previewContext.createBufferSource();
+        source.buffer = buffer;
+        source.connect(previewContext.destination);
+        source.onended = () =>
+        {
+            if (previewSource === source) previewSource = null;
+            resolve();
+        };
+        previewSource = source;
+        source.start();
+    });
+}
+
+/**
+ * Stops the phrase playing now and any "play all" in progress.
+ */
+function stopPreview()
+{
+    previewGeneration++;
+    if (previewSource)
+    {
+        previewSource.stop(); // Fires onended, which resolves playVoiceSamples
+    }
+}
+
+/**
+ * Fetches and plays one phrase of the listed pack, highlighting its row.
+ * @param {object} phrase - Phrase from previewPhrases.
+ * @param {number} [generation] - previewGeneration when playback was asked for; a stop since then cancels it.
+ * @returns {Promise<boolean>} True if the phrase was played.
+ */
+async function playPhrase(phrase, generation = previewGeneration)
+{
+    const samples = await deviceInterface.fetchVoiceFile(phrase.filePath);
+    if (!samples || samples.length === 0)
+    {
+        updateTextArea(`ERROR: Could not load ${phrase.fileName}.\n`);
+        return false;
+    }
+    if (generation !== previewGeneration) return false; // Stopped while loading
+
+    phrase.row.classList.add("playing");
+    try
+    {
+        await playVoiceSamples(samples);
+    }
+    finally
+    {
+        phrase.row.classList.remove("playing");
+    }
+    return true;
+}
+
+/**
+ * Plays every listed phrase in order until the end or until stopped.
+ */
+async function playAllPhrases()
+{
+    stopPreview();
+    const generation = previewGeneration;
+    playAllButton.disabled = true;
+    try
+    {
+        for (const phrase of previewPhrases)
+        {
+            phrase.row.scrollIntoView({ block: "nearest" });
+            await playPhrase(phrase, generation);
+            if (generation !== previewGeneration) break;
+        }
+    }
+    finally
+    {
+        playAllButton.disabled = false;
+    }
+}
+
+/**
+ * Lists the phrases of the selected voice pack with their durations, each with a play button.
+ */
+async function browseVoicePhrases()
+{
+    const voicePackFileName = voicePackSelect.value;
+    if (!voicePackFileName)
+    {
+        updateTextArea("Select a voice pack to browse.\n");
+        return;
+    }
+
+    stopPreview();
+    phraseTableBody.replaceChildren();
+    previewPhrases = [];
+    playAllButton.disabled = true;
+    browsePhrasesButton.disabled = true;
+
+    try
+    {
+        const pack = await loadVoicePackDefinition(`voice/${voicePackFileName}`);
+        let missing = 0;
+
+        for (const phrase of pack.phrases)
+        {
+            if (!phrase.filePath) continue;
+            const size = await fetchFileSize(phrase.filePath);
+            if (size === null) missing++;
+
+            const row = document.createElement("tr");
+            const cells = [
+                isNaN(phrase.index) ? "?" : String(phrase.index),
+                phrase.desc,
+                phrase.fileName,
+                size === null ? "missing" : `${(size / VOICE_SAMPLE_RATE).toFixed(2)} s`
+            ];
+            cells.forEach((text) =>
+            {
+                const cell = document.createElement("td");
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+
+            const previewPhrase = { ...phrase, row };
+            const playCell = document.createElement("td");
+            const playButton = document.createElement("button");
+            playButton.type = "button";
+            playButton.textContent = "Play";
+            playButton.disabled = size === null;
+            playButton.addEventListener('click', () =>
+            {
+                stopPreview(); // One phrase at a time
+                playPhrase(previewPhrase);
+            });
+            playCell.appendChild(playButton);
+            row.appendChild(playCell);
+
+            phraseTableBody.appendChild(row);
+            if (size !== null) previewPhrases.push(previewPhrase);
+        }
+
+        updateTextArea(`Listed ${pack.phrases.length} phrases of ${voicePackFileName}` + (missing > 0 ? `, ${missing} files missing.\n` : ".\n"));
+        playAllButton.disabled = previewPhrases.length === 0;
+    }
+    catch (error)
+    {
+        console.error("Error browsing voice pack:", error);
+        updateTextArea(`ERROR: Could not list voice pack phrases: ${error.message}\n`);
+    }
+    finally
+    {
+        browsePhrasesButton.disabled = false;
+    }
+}
+
+/**
+ * Spells a whole number the way the firmware does, e.g. 42 is "forty", "two".
+ * @param {number} value - The number.
+ * @returns {string[] | null} Phrase descs, or null if no combination of phrases can say it.
+ */
+function integerToPhraseNames(value)
+{
+    if (value < 20) return [NUMBER_ONES[value]];
+    if (value < 100)
+    {
+        const names = [NUMBER_TENS[Math.floor(value / 10)]];
+        if (value % 10 !== 0) names.push(NUMBER_ONES[value % 10]);
+        return names;
+    }
+    if (value === 100) return ["one_hundred"];
+    if (value < 200) return ["one_hundred", ...integerToPhraseNames(value - 100)];
+    return null;
+}
+
+/**
+ * Spells a number, using the pack's ready-made phrases where it has one (e.g. "zero_point_two_five" for 0.25).
+ * @param {string} text - The number as typed, e.g. "12.5".
+ * @param {Set<string>} descs - Phrase descs available in the pack.
+ * @returns {string[] | null} Phrase descs, or null if no combination of phrases can say it.
+ */
+function numberToPhraseNames(text, descs)
+{
+    const [integerText, fractionText] = text.split(".");
+    const integerNames = integerToPhraseNames(parseInt(integerText || "0", 10));
+    if (!integerNames) return null;
+    if (fractionText === undefined) return integerNames;
+
+    const fractionDigits = Array.from(fractionText, (digit) => NUMBER_ONES[parseInt(digit, 10)]);
+    if (integerText === "0" || integerText === "")
+    {
+        const readyMade = `zero_point_${Array.from(fractionText.padEnd(2, "0"), (digit) => NUMBER_ONES[parseInt(digit, 10)]).join("_")}`;
+        if (descs.has(readyMade)) return [readyMade];
+    }
+    return [...integerNames, "point", ...fractionDigits];
+}
+
+/**
+ * Works out the phrases the marker chains together for a menu readout, e.g. "Loader delay 40 ms" is
+ * loader_delay, forty, milliseconds. Menu item words are matched to phrase descs, longest match first.
+ * @param {string} text - Menu item and value as typed.
+ * @param {Set<string>} descs - Phrase descs available in the pack.
+ * @returns {{sequence: string[], problems: string[]}} Phrases to play and everything the pack can't say.
+ */
+function buildAnnouncement(text, descs)
+{
+    const result = { sequence: [], problems: [] };
+    const tokens = text.toLowerCase()
+        .replace(/(\d)([a-z%])/g, "$1 $2") // "40ms" -> "40 ms"
+        .replace(/%/g, " % ")
+        .split(/[\s_]+/)
+        .filter((token) => token);
+
+    let i = 0;
+    while (i < tokens.length)
+    {
+        const token = tokens[i];
+
+        if (/^\d*\.?\d+$/.test(token))
+        {
+            const names = numberToPhraseNames(token, descs);
+            if (!names)
+            {
+                result.problems.push(`${token}: numbers above 199 can't be spoken`);
+            }
+            else
+            {
+                names.filter((name) => !descs.has(name))
+                     .forEach((name) => result.problems.push(`${token}: pack has no "${name}" phrase`));
+                result.sequence.push(...names);
+            }
+            i++;
+            continue;
+        }
+
+        if (UNIT_PHRASES[token])
+        {
+            const unit = UNIT_PHRASES[token];
+            if (!descs.has(unit)) result.problems.push(`${token}: pack has no "${unit}" phrase`);
+            result.sequence.push(unit);
+            i++;
+            continue;
+        }
+
+        // Longest run of words that names a phrase, e.g. "bps limit" -> "bps_limit"
+        let matched = 0;
+        for (let length = tokens.length - i; length > 0; length--)
+        {
+            const words = tokens.slice(i, i + length);
+            if (words.some((word) => /\d/.test(word) || UNIT_PHRASES[word])) continue;
+            const desc = words.join("_");
+            if (descs.has(desc))
+            {
+                result.sequence.push(desc);
+                matched = length;
+                break;
+            }
+        }
+        if (matched === 0)
+        {
+            result.problems.push(`"${token}": no matching phrase in the pack`);
+            matched = 1;
+        }
+        i += matched;
+    }
+
+    return result;
+}
+
+/**
+ * Assembles the readout typed in the simulator from the selected pack and plays it.
+ * @returns {Promise<boolean>} True if the whole readout could be expressed and was played.
+ */
+async function simulateAnnouncement()
+{
+    const voicePackFileName = voicePackSelect.value;
+    const text = announcementInput.value.trim();
+    if (!voicePackFileName || !text)
+    {
+        updateTextArea("Select a voice pack and enter a menu item and value, e.g. \"BPS Limit 12.5\".\n");
+        return false;
+    }
+
+    speakAnnouncementButton.disabled = true;
+    try
+    {
+        const pack = await loadVoicePackDefinition(`voice/${voicePackFileName}`);
+        const phrasesByDesc = new Map(pack.phrases.filter((phrase) => phrase.filePath).map((phrase) => [phrase.desc, phrase]));
+        const announcement = buildAnnouncement(text, new Set(phrasesByDesc.keys()));
+
+        updateTextArea(`"${text}": ${announcement.sequence.join(", ") || "(nothing)"}\n`);
+        announcement.problems.forEach((problem) => updateTextArea(`  Can't express ${problem}\n`));
+
+        // Chain the phrases the pack does have, so the rest can still be heard
+        const gap = new Uint8Array(Math.round(ANNOUNCEMENT_GAP * VOICE_SAMPLE_RATE)).fill(0x7f);
+        const parts = [];
+        for (const desc of announcement.sequence)
+        {
+            const phrase = phrasesByDesc.get(desc);
+            if (!phrase) continue;
+            const samples = await deviceInterface.fetchVoiceFile(phrase.filePath);
+            if (!samples)
+            {
+                updateTextArea(`ERROR: Could not load ${phrase.fileName}.\n`);
+                return false;
+            }
+            if (parts.length > 0) parts.push(gap);
+            parts.push(samples);
+        }
+
+        if (parts.length > 0)
+        {
+            const combined = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+            let offset = 0;
+            for (const part of parts)
+            {
+                combined.set(part, offset);
+                offset += part.length;
+            }
+            stopPreview();
+            await playVoiceSamples(combined);
+        }
+        return announcement.problems.length === 0;
+    }
+    catch (error)
+    {
+        console.error("Error simulating announcement:", error);
+        updateTextArea(`ERROR: Could not simulate announcement: ${error.message}\n`);
+        return false;
+    }
+    finally
+    {
+        speakAnnouncementButton.disabled = false;
+    }
+}
+
+/**
+ * Turns a name into something safe for a file name or URL path, e.g. "Team Alpha!" is "team_alpha".
+ * @param {string} text - The name.
+ * @returns {string} Lower case letters, digits and underscores (empty if nothing usable was left).
+ */
+function toSlug(text)
+{
+    return text.toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_+|_+$/g, "");
+}
+
+/**
+ * Adds an option to a dropdown, or relabels the option if one with that value is already there.
+ * @param {HTMLSelectElement} select - The dropdown.
+ * @param {string} value - Option value.
+ * @param {string} text - Option label.
+ */
+function addSelectOption(select, value, text)
+{
+    let option = Array.from(select.options).find((existing) => existing.value === value);
+    if (!option)
+    {
+        option = document.createElement("option");
+        option.value = value;
+        select.appendChild(option);
+    }
+    option.text = text;
+}
+
+/**
+ * Converts an audio file (WAV, MP3 or anything else the browser can decode) to the voice file format.
+ * @param {ArrayBuffer} audioData - The encoded audio file.
+ * @returns {Promise<Uint8Array>} Mono 8-bit unsigned samples at VOICE_SAMPLE_RATE.
+ */
+async function convertAudioToVoice(audioData)
+{
+    // Decoding through a context running at the voice sample rate also resamples the audio
+    const context = new OfflineAudioContext(1, 1, VOICE_SAMPLE_RATE);
+    const decoded = await context.decodeAudioData(audioData);
+
+    const channels = [];
+    for (let channel = 0; channel < decoded.numberOfChannels; channel++)
+    {
+        channels.push(decoded.getChannelData(channel));
+    }
+
+    const samples = new Uint8Array(decoded.length);
+    for (let i = 0; i < decoded.length; i++)
+    {
+        let sum = 0;
+        for (const channelData of channels)
+        {
+            sum += channelData[i];
+        }
+        const sample = sum / channels.length; // Mix down to mono
+        samples[i] = Math.min(255, Math.max(0, Math.round(sample * 127 + 127))); // Silence is 0x7f, as in the stock packs
+    }
+    return samples;
+}
+
+/**
+ * Loads the phrase slots the custom pack builder works from.
+ * @returns {Promise<object>} The template pack definition.
+ */
+async function loadCustomPackTemplate()
+{
+    if (!customPackTemplate)
+    {
+        customPackTemplate = await loadVoicePackDefinition(`voice/${CUSTOM_PACK_TEMPLATE}`);
+    }
+    return customPackTemplate;
+}
+
+/**
+ * Suggests a phrase slot for an audio clip from its file name, e.g. "bps.wav" goes in the "bps" slot.
+ * @param {string} fileName - Name of the audio file.
+ * @returns {number | null} The phrase index, or null if no free slot matches.
+ */
+function guessCustomClipSlot(fileName)
+{
+    const baseName = fileName.replace(/\.[^.]*$/, "").toLowerCase().replace(/[^a-z0-9]+/g, "_");
+    const phrase = customPackTemplate.phrases.find((templatePhrase) =>
+        templatePhrase.desc.toLowerCase() === baseName ||
+        (templatePhrase.fileName && templatePhrase.fileName.replace(/\.raw$/i, "").toLowerCase() === baseName));
+
+    if (!phrase || customClips.some((clip) => clip.index === phrase.index))
+    {
+        return null;
+    }
+    return phrase.index;
+}
+
+/**
+ * Shows the converted clips with a phrase slot selector for each.
+ */
+function renderCustomClips()
+{
+    customClipsContainer.replaceChildren();
+
+    customClips.forEach((clip) =>
+    {
+        const nameLabel = document.createElement("span");
+        nameLabel.textContent = clip.name;
+
+        const durationLabel = document.createElement("span");
+        durationLabel.textContent = `${(clip.samples.length / VOICE_SAMPLE_RATE).toFixed(2)} s`;
+
+        const slotSelect = document.createElement("select");
+        const unassigned = document.createElement("option");
+        unassigned.value = "";
+        unassigned.text = "Unassigned";
+        slotSelect.appendChild(unassigned);
+        customPackTemplate.phrases.forEach((phrase) =>
+        {
+            const option = document.createElement("option");
+            option.value = phrase.index;
+            option.text = `${phrase.index}: ${phrase.desc}`;
+            slotSelect.appendChild(option);
+        });
+        slotSelect.value = clip.index === null ? "" : String(clip.index);
+        slotSelect.addEventListener('change', () =>
+        {
+            clip.index = slotSelect.value === "" ? null : parseInt(slotSelect.value, 10);
+        });
+
+        const removeButton = document.createElement("button");
+        removeButton.type = "button";
+        removeButton.textContent = "Remove";
+        removeButton.addEventListener('click', () =>
+        {
+            customClips = customClips.filter((other) => other !== clip);
+            renderCustomClips();
+        });
+
+        customClipsContainer.append(nameLabel, durationLabel, slotSelect, removeButton);
+    });
+}
+
+/**
+ * Converts audio files picked by the user and adds them to the custom pack builder.
+ * @param {File[]} files - The audio files.
+ */
+async function addCustomAudio(files)
+{
+    try
+    {
+        await loadCustomPackTemplate();
+    }
+    catch (error)
+    {
+        console.error("Error loading custom pack template:", error);
+        updateTextArea(`ERROR: Could not load template voice pack ${CUSTOM_PACK_TEMPLATE}: ${error.message}\n`);
+        return;
+    }
+
+    for (const file of files)
+    {
+        try
+        {
+            const samples = await convertAudioToVoice(await file.arrayBuffer());
+            const clip = { name: file.name, samples, index: null };
+            clip.index = guessCustomClipSlot(file.name);
+            customClips.push(clip);
+            updateTextArea(`Converted ${file.name}: ${(samples.length / VOICE_SAMPLE_RATE).toFixed(2)} s, ${samples.length.toLocaleString()} bytes` +
+                           (clip.index === null ? ", no matching phrase slot.\n" : `, assigned to phrase ${clip.index}.\n`));
+        }
+        catch (error)
+        {
+            console.error(`Error converting ${file.name}:`, error);
+            updateTextArea(`ERROR: Could not decode ${file.name}: ${error.message}\n`);
+        }
+    }
+    renderCustomClips();
+}
+
+/**
+ * Generates a voice pack XML definition in the format of the packs under voice/.
+ * @param {{phrases: object[]}} pack - The pack (phrases with index, desc and fileName).
+ * @param {string} path - Value of the <path> element: where the phrase files live.
+ * @returns {string} The XML text.
+ */
+function buildVoicePackXml(pack, path)
+{
+    const escapeXml = (text) => text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+    const lines = ['<?xml version="1.0" encoding="utf-8"?>', "<voiceset>", `\t<path>${escapeXml(path)}</path>`, `\t<phraseCount>${pack.phrases.length}</phraseCount>`];
+    pack.phrases.forEach((phrase) =>
+    {
+        lines.push("\t<phrase>",
+                   `\t\t<index>${phrase.index}</index>`,
+                   `\t\t<desc>${escapeXml(phrase.desc)}</desc>`,
+                   `\t\t<file>${escapeXml(phrase.fileName)}</file>`,
+                   "\t</phrase>");
+    });
+    lines.push("</voiceset>", "");
+    return lines.join("\n");
+}
+
+/**
+ * Builds a voice pack from the assigned clips, taking every other phrase from the template pack.
+ * The pack is kept in memory and added to the voice pack list so it can be programmed like any other.
+ * @returns {Promise<boolean>} True if the pack was built.
+ */
+async function buildCustomVoicePack()
+{
+    const packName = customPackNameInput.value.trim();
+    if (!packName)
+    {
+        updateTextArea("ERROR: Enter a name for the custom voice pack.\n");
+        return false;
+    }
+
+    const assignedClips = customClips.filter((clip) => clip.index !== null);
+    if (assignedClips.length === 0)
+    {
+        updateTextArea("ERROR: Assign at least one audio clip to a phrase slot.\n");
+        return false;
+    }
+
+    const clipsBySlot = new Map();
+    for (const clip of assignedClips)
+    {
+        if (clipsBySlot.has(clip.index))
+        {
+            updateTextArea(`ERROR: ${clipsBySlot.get(clip.index).name} and ${clip.name} are both assigned to phrase ${clip.index}.\n`);
+            return false;
+        }
+        clipsBySlot.set(clip.index, clip);
+    }
+
+    buildPackButton.disabled = true;
+    try
+    {
+        const template = await loadCustomPackTemplate();
+        const phrases = template.phrases.filter((phrase) => !isNaN(phrase.index) && phrase.fileName);
+        const files = new Map();
+        let totalBytes = 0;
+
+        for (const phrase of phrases)
+        {
+            const clip = clipsBySlot.get(phrase.index);
+            const data = clip ? clip.samples : await deviceInterface.fetchVoiceFile(phrase.filePath);
+            if (!data)
+            {
+                throw new Error(`Could not load template phrase ${phrase.fileName}`);
+            }
+            files.set(phrase.fileName, data);
+            totalBytes += data.length;
+        }
+
+        const slug = toSlug(packName) || "custom";
+        customVoicePack = { name: packName, slug, phrases, files };
+
+        // Serve the pack from memory under voice/custom/, replacing any earlier build of the same name
+        const packPath = `voice/custom/${slug}`;
+        for (const url of Array.from(memoryFiles.keys()))
+        {
+            if (url.startsWith(`${packPath}/`)) memoryFiles.delete(url);
+        }
+        files.forEach((data, fileName) => memoryFiles.set(`${packPath}/${fileName}`, data));
+        memoryFiles.set(`${packPath}.xml`, buildVoicePackXml(customVoicePack, packPath));
+
+        const value = `custom/${slug}.xml`;
+        addSelectOption(voicePackSelect, value, `${packName} (custom)`);
+
+        updateTextArea(`Built custom voice pack "${packName}": ${assignedClips.length} custom phrases, ` +
+                       `${phrases.length - assignedClips.length} from ${CUSTOM_PACK_TEMPLATE}, ${totalBytes.toLocaleString()} bytes.\n`);
+        voicePackSelect.value = value;
+        updateVoiceSelection();
+        exportPackButton.disabled = false;
+        return true;
+    }
+    catch (error)
+    {
+        console.error("Error building custom voice pack:", error);
+        updateTextArea(`ERROR: Could not build custom voice pack: ${error.message}\n`);
+        return false;
+    }
+    finally
+    {
+        buildPackButton.disabled = false;
+    }
+}
+
+/**
+ * Writes one file into a folder chosen with the File System Access API.
+ * @param {FileSystemDirectoryHandle} directory - The folder.
+ * @param {string} fileName - Name of the file to create or replace.
+ * @param {BlobPart} content - File contents.
+ */
+async function writeDirectoryFile(directory, fileName, content)
+{
+    const fileHandle = await directory.getFileHandle(fileName, { create: true });
+    const writable = await fileHandle.createWritable();
+    await writable.write(content);
+    await writable.close();
+}
+
+/**
+ * Exports the last built custom pack as files laid out like the packs under voice/:
+ * the XML plus a folder of phrase files. Where folders can't be written it is downloaded as one
+ * voice pack archive (.lvp) instead.
+ */
+async function exportCustomVoicePack()
+{
+    if (!customVoicePack)
+    {
+        updateTextArea("Build the custom voice pack before exporting it.\n");
+        return;
+    }
+
+    const { slug, files } = customVoicePack;
+    const xml = buildVoicePackXml(customVoicePack, `voice/${slug}`); // Path once copied into the site's voice folder
+
+    if (typeof window.showDirectoryPicker === "function")
+    {
+        try
+        {
+            const directory = await window.showDirectoryPicker({ mode: "readwrite" });
+            await writeDirectoryFile(directory, `${slug}.xml`, xml);
+            const phraseDirectory = await directory.getDirectoryHandle(slug, { create: true });
+            for (const [fileName, data] of files)
+            {
+                await writeDirectoryFile(phraseDirectory, fileName, data);
+            }
+            updateTextArea(`Exported ${slug}.xml and ${files.size} phrase files to ${directory.name}/${slug}/.\n`);
+        }
+        catch (error)
+        {
+            if (error.name === "AbortError") return; // Folder picker cancelled
+            console.error("Error exporting custom voice pack:", error);
+            updateTextArea(`ERROR: Could not export custom voice pack: ${error.message}\n`);
+        }
+        return;
+    }
+
+    try
+    {
+        const phrases = customVoicePack.phrases.map((phrase) =>
+            ({ index: phrase.index, desc: phrase.desc, fileName: phrase.fileName, data: files.get(phrase.fileName) }));
+        const archive = await buildVoicePackArchive(customVoicePack.name, phrases);
+        downloadFile(`${slug}.lvp`, archive, "application/octet-stream");
+        updateTextArea(`Downloaded ${slug}.lvp: ${phrases.length} phrases, ${archive.length.toLocaleString()} bytes. ` +
+                       `Open it as a local file to program it, or copy it to voice/ and list it in config.xml.\n`);
+    }
+    catch (error)
+    {
+        console.error("Error exporting custom voice pack:", error);
+        updateTextArea(`ERROR: Could not export custom voice pack: ${error.message}\n`);
+    }
+}
+
+/**
+ * Extracts the files of a ZIP archive (stored or deflated entries, no ZIP64 or encryption).
+ * @param {Uint8Array} data - The archive.
+ * @returns {Promise<Map<string, Uint8Array>>} File contents by path inside the archive (folders are left out).
+ * @throws {Error} If the archive is damaged or uses an unsupported feature.
+ */
+async function readZipArchive(data)
+{
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+
+    // End of central directory record: at the end, possibly followed by a comment of up to 64K
+    let endOffset = -1;
+    for (let offset = data.length - 22; offset >= Math.max(0, data.length - 22 - 0xffff); offset--)
+    {
+        if (view.getUint32(offset, true) === 0x06054b50)
+        {
+            endOffset = offset;
+            break;
+        }
+    }
+    if (endOffset < 0)
+    {
+        throw new Error("Not a ZIP archive");
+    }
+
+    const entryCount = view.getUint16(endOffset + 10, true);
+    let offset = view.getUint32(endOffset + 16, true);
+    if (offset === 0xffffffff || entryCount === 0xffff)
+    {
+        throw new Error("ZIP64 archives are not supported");
+    }
+
+    const files = new Map();
+    const decoder = new TextDecoder();
+    for (let i = 0; i < entryCount; i++)
+    {
+        if (offset + 46 > data.length || view.getUint32(offset, true) !== 0x02014b50)
+        {
+            throw new Error("Damaged ZIP central directory");
+        }
+        const flags = view.getUint16(offset + 8, true);
+        const method = view.getUint16(offset + 10, true);
+        const compressedSize = view.getUint32(offset + 20, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const localOffset = view.getUint32(offset + 42, true);
+        const name = decoder.decode(data.subarray(offset + 46, offset + 46 + nameLength));
+        offset += 46 + nameLength + extraLength + commentLength;
+
+        if (name.endsWith("/")) continue; // Folder
+        if (flags & 0x0001)
+        {
+            throw new Error(`${name} is encrypted`);
+        }
+
+        // The local header's name and extra field lengths can differ from the central directory's
+        const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+        const compressed = data.subarray(dataStart, dataStart + compressedSize);
+        if (method === 0)
+        {
+            files.set(name, compressed.slice());
+        }
+        else if (method === 8)
+        {
+            const stream = new Blob([compressed]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+            files.set(name, new Uint8Array(await new Response(stream).arrayBuffer()));
+        }
+        else
+        {
+            throw new Error(`${name} uses unsupported compression method ${method}`);
+        }
+    }
+    return files;
+}
+
+/**
+ * Collects the files dropped on the page, walking into dropped folders.
+ * @param {DataTransfer} dataTransfer - The drop event's data.
+ * @returns {Promise<{path: string, blob: Blob}[]>} Each file with its path inside the dropped folder.
+ */
+async function collectDroppedFiles(dataTransfer)
+{
+    // Entries must be taken before the first await, the drop data is cleared afterwards
+    const roots = Array.from(dataTransfer.items || [])
+        .map((item) => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null))
+        .filter((entry) => entry);
+    if (roots.length === 0)
+    {
+        return Array.from(dataTransfer.files).map((file) => ({ path: file.name, blob: file }));
+    }
+
+    const files = [];
+    const readEntry = async (entry, parentPath) =>
+    {
+        if (entry.isFile)
+        {
+            const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+            files.push({ path: `${parentPath}${file.name}`, blob: file });
+        }
+        else if (entry.isDirectory)
+        {
+            const reader = entry.createReader();
+            let batch;
+            do
+            {
+                batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject)); // Returns entries in batches
+                for (const child of batch)
+                {
+                    await readEntry(child, `${parentPath}${entry.name}/`);
+                }
+            } while (batch.length > 0);
+        }
+    };
+    for (const root of roots)
+    {
+        await readEntry(root, "");
+    }
+    return files;
+}
+
+/**
+ * Offers a local HEX file in the firmware list, programmed through the same path as hosted firmware.
+ * @param {{path: string, blob: Blob}} entry - The HEX file.
+ */
+async function openLocalFirmware(entry)
+{
+    const fileName = entry.path.split("/").pop();
+    const value = `local/${fileName}`;
+    memoryFiles.set(`firmware/${value}`, await entry.blob.text());
+    addSelectOption(firmwareSelect, value, `${fileName} (local)`);
+    firmwareSelect.value = value;
+    updateFirmwareSelection();
+}
+
+/**
+ * Offers every voice pack XML among local files in the voice pack list. Phrase files are looked up in the
+ * folder named by the pack's <path>, then next to the XML, then anywhere if the name is unique.
+ * @param {{path: string, blob: Blob}[]} entries - The XML and .raw files.
+ * @returns {Promise<number>} How many packs were added.
+ */
+async function openLocalVoicePacks(entries)
+{
+    const directoryOf = (path) => path.slice(0, path.lastIndexOf("/") + 1).toLowerCase();
+    const baseNameOf = (path) => path.split("/").pop().toLowerCase();
+    let packsAdded = 0;
+    let lastValue = null;
+
+    for (const xmlEntry of entries.filter((entry) => /\.xml$/i.test(entry.path)))
+    {
+        const xmlText = await xmlEntry.blob.text();
+        if (!/<voiceset[\s>]/.test(xmlText)) continue; // Some other XML, e.g. config.xml
+
+        const fileName = xmlEntry.path.split("/").pop();
+        const slug = toSlug(fileName.replace(/\.xml$/i, "")) || "pack";
+        const packPath = `voice/local/${slug}`;
+        const value = `local/${slug}.xml`;
+
+        for (const url of Array.from(memoryFiles.keys()))
+        {
+            if (url.startsWith(`${packPath}/`)) memoryFiles.delete(url);
+        }
+
+        // Serve the XML as written, pointed at where its phrase files are kept in memory
+        memoryFiles.set(`voice/${value}`, xmlText.replace(/<path>[\s\S]*?<\/path>/, `<path>${packPath}</path>`));
+        const originalPath = (xmlText.match(/<path>([\s\S]*?)<\/path>/) || ["", ""])[1].trim();
+        const packFolder = originalPath.split("/").pop().toLowerCase();
+
+        let pack;
+        try
+        {
+            pack = await loadVoicePackDefinition(`voice/${value}`);
+        }
+        catch (error)
+        {
+            memoryFiles.delete(`voice/${value}`);
+            updateTextArea(`ERROR: ${fileName}: ${error.message}\n`);
+            continue;
+        }
+
+        let missing = 0;
+        for (const phrase of pack.phrases)
+        {
+            if (!phrase.fileName) continue;
+            const phraseName = phrase.fileName.toLowerCase();
+            const candidates = entries.filter((entry) => baseNameOf(entry.path) === phraseName);
+            const match = candidates.find((entry) => packFolder && directoryOf(entry.path).endsWith(`${packFolder}/`)) ||
+                          candidates.find((entry) => directoryOf(entry.path) === directoryOf(xmlEntry.path)) ||
+                          (candidates.length === 1 ? candidates[0] : null);
+            if (!match)
+            {
+                missing++;
+                continue;
+            }
+            memoryFiles.set(`${packPath}/${phrase.fileName}`, new Uint8Array(await match.blob.arrayBuffer()));
+        }
+
+        addSelectOption(voicePackSelect, value, `${fileName} (local)`);
+        lastValue = value;
+        packsAdded++;
+        updateTextArea(`Opened local voice pack ${fileName}: ${pack.phrases.length} phrases` +
+                       (missing > 0 ? `, ${missing} phrase files not found (the pack will fail validation).\n` : ".\n"));
+    }
+
+    if (lastValue)
+    {
+        voicePackSelect.value = lastValue;
+        updateVoiceSelection();
+    }
+    return packsAdded;
+}
+
+/**
+ * Offers a local voice pack archive (.lvp) in the voice pack list, after checking it.
+ * @param {{path: string, blob: Blob}} entry - The archive file.
+ */
+async function openLocalVoiceArchive(entry)
+{
+    const fileName = entry.path.split("/").pop();
+    const value = `local/${toSlug(fileName.replace(/\.lvp$/i, "")) || "pack"}.lvp`;
+    memoryFiles.set(`voice/${value}`, new Uint8Array(await entry.blob.arrayBuffer()));
+
+    try
+    {
+        const pack = await loadVoicePackArchive(`voice/${value}`);
+        addSelectOption(voicePackSelect, value, `${fileName} (local)`);
+        voicePackSelect.value = value;
+        updateVoiceSelection();
+        updateTextArea(`Opened local voice pack archive ${fileName}: ${pack.phrases.length} phrases, all checksums OK.\n`);
+    }
+    catch (error)
+    {
+        memoryFiles.delete(`voice/${value}`);
+        updateTextArea(`ERROR: ${error.message}\n`);
+    }
+}
+
+/**
+ * Opens local firmware and voice packs picked or dropped by the user: .hex files, voice pack folders
+ * (XML plus .raw files), .lvp voice pack archives and ZIP archives of any of these. They are added to the firmware and voice pack lists.
+ * @param {{path: string, blob: Blob}[]} entries - The files, with their paths inside any picked folder.
+ */
+async function openLocalFiles(entries)
+{
+    const files = [];
+    for (const entry of entries)
+    {
+        if (!/\.zip$/i.test(entry.path))
+        {
+            files.push(entry);
+            continue;
+        }
+        try
+        {
+            const archived = await readZipArchive(new Uint8Array(await entry.blob.arrayBuffer()));
+            archived.forEach((data, path) => files.push({ path: `${entry.path}/${path}`, blob: new Blob([data]) }));
+            updateTextArea(`Extracted ${archived.size} files from ${entry.path}.\n`);
+        }
+        catch (error)
+        {
+            console.error(`Error reading archive ${entry.path}:`, error);
+            updateTextArea(`ERROR: Could not read ${entry.path}: ${error.message}\n`);
+        }
+    }
+
+    const hexFiles = files.filter((entry) => /\.hex$/i.test(entry.path));
+    const archiveFiles = files.filter((entry) => /\.lvp$/i.test(entry.path));
+    const voiceFiles = files.filter((entry) => /\.(xml|raw)$/i.test(entry.path));
+    const ignored = files.length - hexFiles.length - archiveFiles.length - voiceFiles.length;
+
+    for (const entry of hexFiles)
+    {
+        await openLocalFirmware(entry);
+    }
+    for (const entry of archiveFiles)
+    {
+        await openLocalVoiceArchive(entry);
+    }
+    if (voiceFiles.length > 0 && await openLocalVoicePacks(voiceFiles) === 0)
+    {
+        updateTextArea("No voice pack XML found among the files.\n");
+    }
+    if (ignored > 0)
+    {
+        updateTextArea(`Ignored ${ignored} files that are not .hex, .xml, .raw, .lvp or .zip.\n`);
+    }
+}
+
+/**
+ * Registers the service worker that serves the interface when there is no connection.
+ * @returns {Promise<boolean>} True if the service worker was registered.
+ */
+async function registerServiceWorker()
+{
+    if (!("serviceWorker" in navigator))
+    {
+        return false;
+    }
+    try
+    {
+        await navigator.serviceWorker.register("sw.js");
+        return true;
+    }
+    catch (error)
+    {
+        console.warn("Service worker registration failed:", error);
+        return false;
+    }
+}
+
+/**
+ * Lists every file needed to use the interface offline, grouped into the items shown in the offline list:
+ * the application itself, each firmware file and each voice pack with all its phrases.
+ * @returns {Promise<{name: string, files: {url: string, digest: object | null}[]}[]>} The items and their files,
+ *          with the size and SHA-256 digest published in config.xml or the pack XML (null if none).
+ */
+async function getOfflineItems()
+{
+    const items = [{ name: "Application", files: OFFLINE_APP_FILES.map((url) => ({ url, digest: null })) }];
+
+    const response = await fetch("config.xml", { cache: "no-cache" });
+    if (!response.ok)
+    {
+        throw new Error(`Failed to fetch config.xml: ${response.statusText}`);
+    }
+    const xmlDoc = new DOMParser().parseFromString(await response.text(), "text/xml");
+    const listFiles = (groupName) => Array.from(xmlDoc.querySelectorAll(`${groupName} > file`),
+                                                (file) => ({ name: file.textContent.trim(), digest: readFileDigest(file) }));
+
+    listFiles("firmware").forEach((file) => items.push({ name: file.name, files: [{ url: `firmware/${file.name}`, digest: file.digest }] }));
+
+    for (const file of listFiles("voice"))
+    {
+        const packUrl = `voice/${file.name}`;
+        const item = { name: file.name, files: [{ url: packUrl, digest: file.digest }] };
+        if (!/\.lvp$/i.test(file.name)) // An archive holds its phrases, an XML only refers to them
+        {
+            try
+            {
+                const pack = await loadVoicePackDefinition(packUrl);
+                pack.phrases.filter((phrase) => phrase.filePath)
+                    .forEach((phrase) => item.files.push({ url: phrase.filePath, digest: phrase.digest }));
+            }
+            catch (error)
+            {
+                console.warn(`Could not list the phrases of ${file.name}:`, error);
+            }
+        }
+        items.push(item);
+    }
+    return items;
+}
+
+/**
+ * Shows whether the browser is online and, for each item, whether all of its files are cached.
+ * @param {{name: string, files: {url: string}[]}[] | null} [items] - Items to show, or null to just update the online state.
+ */
+async function showOfflineStatus(items = null)
+{
+    if (typeof caches === "undefined")
+    {
+        offlineStatusLabel.textContent = "Offline use needs the site to be opened over HTTPS.";
+        recacheButton.disabled = true;
+        return;
+    }
+    offlineStatusLabel.textContent = navigator.onLine ? "Online." : "Offline: using the saved copy.";
+    if (!items) return;
+
+    const cache = await caches.open(OFFLINE_CACHE_NAME);
+    offlineItemsList.replaceChildren();
+    for (const item of items)
+    {
+        let cachedCount = 0;
+        for (const file of item.files)
+        {
+            if (await cache.match(file.url)) cachedCount++;
+        }
+
+        const entry = document.createElement("li");
+        const ready = cachedCount === item.files.length;
+        entry.className = ready ? "offline-ready" : "offline-missing";
+        entry.textContent = ready
+            ? `${item.name}: available offline`
+            : `${item.name}: not available offline (${cachedCount} of ${item.files.length} files saved)`;
+        offlineItemsList.appendChild(entry);
+    }
+}
+
+/**
+ * Brings the cached copy of one file up to date. A file with a published digest is only downloaded when the
+ * cached copy was saved for a different digest, and is checked before it is saved; any other file is
+ * revalidated with the server, which only sends it again if it changed.
+ * @param {Cache} cache - The offline cache.
+ * @param {{url: string, digest: object | null}} file - The file and its published size and digest.
+ * @returns {Promise<boolean>} True if the cached copy is current, false if it couldn't be downloaded or failed the check.
+ */
+async function refreshOfflineFile(cache, file)
+{
+    const sha256 = file.digest && file.digest.sha256 ? file.digest.sha256.toLowerCase() : null;
+    if (sha256)
+    {
+        const cached = await cache.match(file.url);
+        if (cached && cached.headers.get(OFFLINE_DIGEST_HEADER) === sha256)
+        {
+            return true;
+        }
+    }
+
+    try
+    {
+        const response = await fetch(file.url, { cache: "no-cache" }); // Revalidate rather than trust the HTTP cache
+        if (!response.ok)
+        {
+            return false;
+        }
+        if (!sha256)
+        {
+            await cache.put(file.url, response);
+            return true;
+        }
+
+        const data = new Uint8Array(await response.arrayBuffer());
+        if (await checkFileIntegrity(data, file.digest))
+        {
+            return false;
+        }
+        const headers = new Headers(response.headers);
+        headers.set(OFFLINE_DIGEST_HEADER, sha256);
+        await cache.put(file.url, new Response(data, { status: response.status, statusText: response.statusText, headers }));
+        return true;
+    }
+    catch (error)
+    {
+        return false;
+    }
+}
+
+/**
+ * Downloads the current catalog (application, firmware and voice packs) into the offline cache,
+ * fetching only what changed (see refreshOfflineFile) and removing files the catalog no longer lists. Only runs while online.
+ */
+async function syncOfflineCache()
+{
+    if (typeof caches === "undefined" || offlineSyncRunning)
+    {
+        await showOfflineStatus();
+        return;
+    }
+
+    offlineSyncRunning = true;
+    recacheButton.disabled = true;
+    try
+    {
+        if (!navigator.onLine)
+        {
+            // Nothing can be refreshed, but the saved copy can still be listed
+            await showOfflineStatus(await getOfflineItems());
+            return;
+        }
+
+        offlineStatusLabel.textContent = "Saving files for offline use...";
+        const items = await getOfflineItems();
+        const cache = await caches.open(OFFLINE_CACHE_NAME);
+        const wanted = new Set();
+        let failed = 0;
+
+        for (const item of items)
+        {
+            for (const file of item.files)
+            {
+                wanted.add(new URL(file.url, window.location.href).href);
+                if (!await refreshOfflineFile(cache, file))
+                {
+                    failed++;
+                }
+            }
+        }
+
+        for (const request of await cache.keys())
+        {
+            if (!wanted.has(request.url)) await cache.delete(request);
+        }
+
+        await showOfflineStatus(items);
+        if (failed > 0)
+        {
+            updateTextArea(`Warning: ${failed} files could not be saved for offline use.\n`);
+        }
+    }
+    catch (error)
+    {
+        console.warn("Offline cache update failed:", error);
+        await showOfflineStatus();
+    }
+    finally
+    {
+        offlineSyncRunning = false;
+        recacheButton.disabled = false;
+    }
+}
+
+/**
+ * Switches the interface to the software emulator when the page is opened with "?emulator"
+ * ("?emulator=3" attaches three emulated markers, e.g. to try the batch station).
+ * @returns {boolean} True if the emulator is in use.
+ */
+function enableEmulatorIfRequested()
+{
+    const params = new URLSearchParams(window.location.search);
+    if (!params.has("emulator") || typeof EmulatedHid === "undefined")
+    {
+        return false;
+    }
+    deviceInterface.hid = new EmulatedHid();
+    const markerCount = parseInt(params.get("emulator"), 10) || 1;
+    for (let i = 1; i < markerCount; i++)
+    {
+        deviceInterface.hid.plugIn(new LuxeDeviceEmulator());
+    }
+    return true;
+}
+
+// --- Event Listener Setup (runs after DOM is fully loaded) ---
+if (typeof document !== "undefined") document.addEventListener('DOMContentLoaded', () =>
+{
+    // Cache DOM elements
+    firmwareSelect = document.getElementById('ddFirmware');
+    voicePackSelect = document.getElementById('ddVoicePack');
+    firmwareCheckbox = document.getElementById("cbFirmware");
+    voiceCheckbox = document.getElementById("cbVoice");
+    downloadButton = document.getElementById("btnDownload");
+    clearButton = document.getElementById("btnClearStatus");
+    statusTextArea = document.getElementById("statusArea");
+    voiceBankRadios = document.getElementsByName('voiceBank');
+    traceCheckbox = document.getElementById("cbTrace");
+    exportTraceButton = document.getElementById("btnExportTrace");
+    replayTraceButton = document.getElementById("btnReplayTrace");
+    replayTraceInput = document.getElementById("fileReplayTrace");
+    backupButton = document.getElementById("btnBackup");
+    restoreButton = document.getElementById("btnRestore");
+    restoreInput = document.getElementById("fileRestore");
+    backupRegionCheckboxes = document.getElementsByName("backupRegion");
+    scanBanksButton = document.getElementById("btnScanBanks");
+    validatePackButton = document.getElementById("btnValidatePack");
+    exportArchiveButton = document.getElementById("btnExportArchive");
+    customPackNameInput = document.getElementById("txtCustomPackName");
+    addAudioButton = document.getElementById("btnAddAudio");
+    customAudioInput = document.getElementById("fileCustomAudio");
+    customClipsContainer = document.getElementById("customClips");
+    buildPackButton = document.getElementById("btnBuildPack");
+    exportPackButton = document.getElementById("btnExportPack");
+    browsePhrasesButton = document.getElementById("btnBrowsePhrases");
+    playAllButton = document.getElementById("btnPlayAll");
+    stopPreviewButton = document.getElementById("btnStopPreview");
+    phraseTableBody = document.querySelector("#phraseTable tbody");
+    announcementInput = document.getElementById("txtAnnouncement");
+    speakAnnouncementButton = document.getElementById("btnSpeakAnnouncement");
+    openHexButton = document.getElementById("btnOpenHex");
+    openVoiceFolderButton = document.getElementById("btnOpenVoiceFolder");
+    openVoiceArchiveButton = document.getElementById("btnOpenVoiceArchive");
+    localHexInput = document.getElementById("fileLocalHex");
+    localVoiceFolderInput = document.getElementById("fileLocalVoiceFolder");
+    localVoiceArchiveInput = document.getElementById("fileLocalVoiceArchive");
+    localDropZone = document.getElementById("localDropZone");
+    offlineStatusLabel = document.getElementById("offlineStatus");
+    offlineItemsList = document.getElementById("offlineItems");
+    recacheButton = document.getElementById("btnRecache");
+    identifyButton = document.getElementById("btnIdentify");
+    deviceIdentityList = document.getElementById("deviceIdentity");
+    progressBarsContainer = document.getElementById("progressBars");
+    cancelButton = document.getElementById("btnCancel");
+    deviceBadge = document.getElementById("deviceBadge");
+    stationStartButton = document.getElementById("btnStationStart");
+    stationStopButton = document.getElementById("btnStationStop");
+    stationAddButton = document.getElementById("btnStationAdd");
+    stationStatusLabel = document.getElementById("stationStatus");
+    stationLogBody = document.querySelector("#stationLog tbody");
+    sessionHistorySelect = document.getElementById("ddSessionHistory");
+    exportReportJsonButton = document.getElementById("btnExportReportJson");
+    exportReportHtmlButton = document.getElementById("btnExportReportHtml");
+    clearHistoryButton = document.getElementById("btnClearHistory");
+
+    // Basic check if essential elements were found
+    if (!firmwareSelect || !voicePackSelect || !firmwareCheckbox || !voiceCheckbox || !downloadButton || !clearButton || !statusTextArea || !voiceBankRadios)
+    {
+         console.error("FATAL: One or more essential UI elements not found in the DOM.");
+         // Attempt to update text area if it exists, otherwise just log
+         const initMsg = "FATAL ERROR: UI elements missing. Cannot initialize application.\nPlease check the HTML structure and element IDs.\n";
+         if (statusTextArea) { updateTextArea(initMsg); } else { console.error(initMsg); }
+         if (downloadButton) downloadButton.disabled = true;
+         return; // Stop initialization
+    }
+
+
+    // Populate dropdowns
+    populateDownloads();
+
+    if (enableEmulatorIfRequested())
+    {
+        updateTextArea("*** Using emulated device (no hardware will be programmed) ***\n");
+    }
+    deviceInterface.watchConnections();
+    updateDeviceBadge();
+
+    // Attach event listeners
+    clearButton.addEventListener('click', clearTextArea);
+    firmwareSelect.addEventListener('change', updateFirmwareSelection);
+    voicePackSelect.addEventListener('change', updateVoiceSelection);
+    downloadButton.addEventListener('click', () => programDevice());
+    if (cancelButton)
+    {
+        cancelButton.disabled = true; // Enabled while a programming sequence runs
+        cancelButton.addEventListener('click', cancelProgramming);
+    }
+    deviceInterface.addEventListener('progress', handleProgressEvent);
+    deviceInterface.addEventListener('connection', handleConnectionEvent);
+
+    // Session reports (optional section)
+    sessionHistory = loadSessionHistory();
+    if (sessionHistorySelect && exportReportJsonButton && exportReportHtmlButton && clearHistoryButton)
+    {
+        exportReportJsonButton.addEventListener('click', () => exportSessionReport("json"));
+        exportReportHtmlButton.addEventListener('click', () => exportSessionReport("html"));
+        clearHistoryButton.addEventListener('click', clearSessionHistory);
+        refreshSessionHistory();
+    }
+
+    // Batch station (optional section)
+    if (stationStartButton && stationStopButton && stationAddButton)
+    {
+        stationStartButton.addEventListener('click', startStation);
+        stationStopButton.addEventListener('click', stopStation);
+        stationAddButton.addEventListener('click', addStationMarkers);
+        deviceInterface.addEventListener('connection', handleStationConnection);
+        updateStationControls();
+    }
+
+    // Diagnostics (optional section)
+    if (exportTraceButton && replayTraceButton && replayTraceInput)
+    {
+        exportTraceButton.addEventListener('click', exportTrace);
+        replayTraceButton.addEventListener('click', () => replayTraceInput.click());
+        replayTraceInput.addEventListener('change', () =>
+        {
+            if (replayTraceInput.files.length > 0)
+            {
+                replayTrace(replayTraceInput.files[0]);
+            }
+            replayTraceInput.value = ""; // Allow the same file to be picked again
+        });
+    }
+
+    // Connected device (optional section)
+    if (identifyButton && deviceIdentityList)
+    {
+        identifyButton.addEventListener('click', identifyConnectedDevice);
+    }
+
+    if (scanBanksButton)
+    {
+        scanBanksButton.addEventListener('click', scanVoiceBanks);
+    }
+
+    if (validatePackButton)
+    {
+        validatePackButton.addEventListener('click', validateVoicePacks);
+    }
+
+    if (exportArchiveButton)
+    {
+        exportArchiveButton.addEventListener('click', exportVoicePackArchive);
+    }
+
+    // Phrase preview (optional section)
+    if (browsePhrasesButton && playAllButton && stopPreviewButton && phraseTableBody)
+    {
+        playAllButton.disabled = true; // Enabled once phrases are listed
+        browsePhrasesButton.addEventListener('click', browseVoicePhrases);
+        playAllButton.addEventListener('click', playAllPhrases);
+        stopPreviewButton.addEventListener('click', stopPreview);
+    }
+
+    // Offline use (optional section)
+    if (offlineStatusLabel && offlineItemsList && recacheButton)
+    {
+        recacheButton.addEventListener('click', syncOfflineCache);
+        window.addEventListener('online', syncOfflineCache); // Pick up catalog changes made while offline
+        window.addEventListener('offline', () => showOfflineStatus());
+        registerServiceWorker().then(syncOfflineCache);
+    }
+
+    // Local files (optional section)
+    if (openHexButton && openVoiceFolderButton && openVoiceArchiveButton && localHexInput && localVoiceFolderInput && localVoiceArchiveInput && localDropZone)
+    {
+        const pickers = [[openHexButton, localHexInput], [openVoiceFolderButton, localVoiceFolderInput], [openVoiceArchiveButton, localVoiceArchiveInput]];
+        pickers.forEach(([button, input]) =>
+        {
+            button.addEventListener('click', () => input.click());
+            input.addEventListener('change', async () =>
+            {
+                // Folder picks carry the path inside the folder, which is needed to tell packs apart
+                await openLocalFiles(Array.from(input.files).map((file) => ({ path: file.webkitRelativePath || file.name, blob: file })));
+                input.value = ""; // Allow the same files to be picked again
+            });
+        });
+
+        localDropZone.addEventListener('dragover', (event) =>
+        {
+            event.preventDefault();
+            localDropZone.classList.add("drag-over");
+        });
+        localDropZone.addEventListener('dragleave', () => localDropZone.classList.remove("drag-over"));
+        localDropZone.addEventListener('drop', async (event) =>
+        {
+            event.preventDefault();
+            localDropZone.classList.remove("drag-over");
+            await openLocalFiles(await collectDroppedFiles(event.dataTransfer));
+        });
+    }
+
+    // Announcement simulator (optional section)
+    if (announcementInput && speakAnnouncementButton)
+    {
+        speakAnnouncementButton.addEventListener('click', simulateAnnouncement);
+        announcementInput.addEventListener('keydown', (event) =>
+        {
+            if (event.key === "Enter") simulateAnnouncement();
+        });
+    }
+
+    // Custom voice pack builder (optional section)
+    if (customPackNameInput && addAudioButton && customAudioInput && customClipsContainer && buildPackButton && exportPackButton)
+    {
+        exportPackButton.disabled = true; // Enabled once a pack has been built
+        addAudioButton.addEventListener('click', () => customAudioInput.click());
+        customAudioInput.addEventListener('change', async () =>
+        {
+            await addCustomAudio(Array.from(customAudioInput.files));
+            customAudioInput.value = ""; // Allow the same files to be picked again
+        });
+        buildPackButton.addEventListener('click', buildCustomVoicePack);
+        exportPackButton.addEventListener('click', exportCustomVoicePack);
+    }
+
+    // EEPROM backup/restore (optional section)
+    if (backupButton && restoreButton && restoreInput)
+    {
+        backupButton.addEventListener('click', backupEeprom);
+        restoreButton.addEventListener('click', () => restoreInput.click());
+        restoreInput.addEventListener('change', () =>
+        {
+            if (restoreInput.files.length > 0)
+            {
+                restoreEeprom(restoreInput.files[0]);
+            }
+            restoreInput.value = ""; // Allow the same file to be picked again
+        });
+    }
+
+    updateTextArea("Web Interface Initialized.\nSelect options and click Download.\n");
+    console.log("Evo USB Interface Initialized.");
+});
+
+
+// Allow the interface class to be loaded outside the browser (e.g. under Node with the emulator)
+if (typeof module !== "undefined" && module.exports)
+{
+    module.exports = { PicUsbInterface, RUN_MODE, PROG_MODE };
+}
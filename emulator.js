@@ -0,0 +1,478 @@
+// Allman Style Formatting Applied
+
+// --- Software Luxe Device Emulator ---
+// Behaves like a WebHID HIDDevice (open/close/sendReport + "inputreport" events) and
+// implements the Luxe USB command set against simulated program memory and EEPROM,
+// so PicUsbInterface and the programming flow can run without a marker attached.
+// Enable it in the page with "?emulator" in the URL.
+
+/**
+ * Input report event dispatched by the emulated device (mirrors HIDInputReportEvent)
+ */
+class EmulatedInputReportEvent extends Event
+{
+    constructor(device, reportId, data)
+    {
+        super("inputreport");
+        this.device = device;
+        this.reportId = reportId;
+        this.data = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    }
+}
+
+/**
+ * Connect/disconnect event dispatched by the emulated WebHID entry point (mirrors HIDConnectionEvent)
+ */
+class EmulatedConnectionEvent extends Event
+{
+    constructor(type, device)
+    {
+        super(type);
+        this.device = device;
+    }
+}
+
+// --- LuxeDeviceEmulator Class Definition ---
+class LuxeDeviceEmulator extends EventTarget
+{
+    constructor()
+    {
+        super();
+
+        // Identity (matches PicUsbInterface VID/PID)
+        this.vendorId = 0x1240;
+        this.productId = 0xfa7a;
+        this.productName = "Luxe (emulated)";
+        this.collections = [];
+        this.opened = false;
+
+        // Protocol constants (kept in step with PicUsbInterface)
+        this.PACKET_HEADER_SIZE = 5;
+        this.PACKET_SIZE = 37;
+        this.PRG_START_ADD = 0x1400;
+        this.PROGRAM_MEMORY_SIZE = 0x10000; // 64K
+        this.EEPROM_SIZE = 0x400000; // 4MB
+        this.EEPROM_BLOCK_SIZE = 0x10000; // 64K erase block
+
+        this.CMD_PROGRAM_MEM_BLOCK = 1;
+        this.CMD_READ_EEPROM_PAGE = 2;
+        this.CMD_EEPROM_CLEAR_PROTECTION = 3;
+        this.CMD_ERASE_EEPROM_BLOCK = 4;
+        this.CMD_WRITE_EEPROM_PAGE = 5;
+        this.CMD_SET_MODE = 6;
+        this.CMD_ACK = 13;
+        this.CMD_NACK = 0xff; // Any non-ACK first byte is treated as a NACK by the host
+
+        this.RUN_MODE = 0;
+        this.PROG_MODE = 1;
+
+        // Simulated memories, erased state
+        this.programMemory = new Uint8Array(this.PROGRAM_MEMORY_SIZE).fill(0xff);
+        this.eeprom = new Uint8Array(this.EEPROM_SIZE).fill(0xff);
+
+        // Device state
+        this.mode = this.RUN_MODE;
+        this.writeProtected = true; // Cleared by CMD_EEPROM_CLEAR_PROTECTION
+        this.responseDelay = 0; // Milliseconds before each response is sent
+        this.openCount = 0; // Responses still in flight when the device closes are lost, as over real USB
+
+        // Fault injection: queue of { kind, command, skip, count }
+        this.faults = [];
+        this.commandCounts = {};
+    }
+
+    /**
+     * Open the emulated device
+     * @returns {Promise<void>}
+     */
+    async open()
+    {
+        this.opened = true;
+        this.openCount++;
+    }
+
+    /**
+     * Close the emulated device. Protection is re-asserted as on a real reconnect.
+     * @returns {Promise<void>}
+     */
+    async close()
+    {
+        this.opened = false;
+        this.writeProtected = true;
+    }
+
+    /**
+     * Schedule a fault for upcoming commands.
+     * Kinds: "dropAck" (command runs, response lost), "nack" (command rejected),
+     * "timeout" (command ignored, no response), "writeProtect" (protection re-asserted before the command runs).
+     * @param {string} kind - The fault kind
+     * @param {{command?: number|null, skip?: number, count?: number}} [options] - Command filter (null for any),
+     *        number of matching commands to let through first, and how many commands to affect
+     */
+    injectFault(kind, { command = null, skip = 0, count = 1 } = {})
+    {
+        const kinds = ["dropAck", "nack", "timeout", "writeProtect"];
+        if (!kinds.includes(kind))
+        {
+            throw new Error(`Unknown fault kind: ${kind}`);
+        }
+        this.faults.push({ kind, command, skip, count });
+    }
+
+    /**
+     * Remove all pending faults
+     */
+    clearFaults()
+    {
+        this.faults = [];
+    }
+
+    /**
+     * Find and consume the fault (if any) that applies to this command
+     * @param {number} cmd - The command byte
+     * @returns {string | null} The fault kind, or null if none applies
+     */
+    takeFault(cmd)
+    {
+        for (const fault of this.faults)
+        {
+            if (fault.command !== null && fault.command !== cmd) continue;
+
+            if (fault.skip > 0)
+            {
+                fault.skip--;
+                continue;
+            }
+
+            fault.count--;
+            if (fault.count <= 0)
+            {
+                this.faults.splice(this.faults.indexOf(fault), 1);
+            }
+            return fault.kind;
+        }
+        return null;
+    }
+
+    /**
+     * Receive an output report from the host and answer it with an input report
+     * @param {number} reportId - The report ID (ignored, the device uses 0)
+     * @param {BufferSource} data - The 37-byte command packet
+     * @returns {Promise<void>}
+     */
+    async sendReport(reportId, data)
+    {
+        if (!this.opened)
+        {
+            throw new Error("Emulated device is not open.");
+        }
+
+        const packet = ArrayBuffer.isView(data)
+            ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength).slice()
+            : new Uint8Array(data).slice();
+        const cmd = packet[0];
+        this.commandCounts[cmd] = (this.commandCounts[cmd] || 0) + 1;
+
+        const fault = this.takeFault(cmd);
+        if (fault === "timeout")
+        {
+            return; // Device never answers
+        }
+        if (fault === "writeProtect")
+        {
+            this.writeProtected = true;
+        }
+
+        const response = (fault === "nack") ? this.buildResponse(this.CMD_NACK, packet) : this.executeCommand(packet);
+
+        if (fault === "dropAck")
+        {
+            return; // Command ran but the response is lost
+        }
+        this.scheduleResponse(response);
+    }
+
+    /**
+     * Deliver a response after the host has started listening for it
+     * @param {Uint8Array} response - The input report data
+     */
+    scheduleResponse(response)
+    {
+        const openCount = this.openCount;
+        const deliver = () =>
+        {
+            if (this.opened && this.openCount === openCount)
+            {
+                this.dispatchEvent(new EmulatedInputReportEvent(this, 0, response));
+            }
+        };
+
+        // The host attaches its listener after sendReport resolves, so always answer on a later task
+        if (this.responseDelay > 0 || typeof setImmediate !== "function")
+        {
+            setTimeout(deliver, this.responseDelay);
+        }
+        else
+        {
+            setImmediate(deliver);
+        }
+    }
+
+    /**
+     * Build a response packet echoing the command address
+     * @param {number} status - CMD_ACK or CMD_NACK
+     * @param {Uint8Array} packet - The command packet being answered
+     * @param {Uint8Array | null} [payload] - Optional data to return
+     * @returns {Uint8Array} The response packet
+     */
+    buildResponse(status, packet, payload = null)
+    {
+        const response = new Uint8Array(this.PACKET_SIZE);
+        response[0] = status;
+        response[1] = packet[1];
+        response[2] = packet[2];
+        response[3] = packet[3];
+        if (payload)
+        {
+            response[4] = payload.length;
+            response.set(payload, this.PACKET_HEADER_SIZE);
+        }
+        return response;
+    }
+
+    /**
+     * Carry out a command against the simulated memories
+     * @param {Uint8Array} packet - The command packet
+     * @returns {Uint8Array} The response packet
+     */
+    executeCommand(packet)
+    {
+        const cmd = packet[0];
+        const address = (packet[1] << 16) | (packet[2] << 8) | packet[3];
+        const length = Math.min(packet[4], this.PACKET_SIZE - this.PACKET_HEADER_SIZE);
+        const payload = packet.subarray(this.PACKET_HEADER_SIZE, this.PACKET_HEADER_SIZE + length);
+        const ack = this.buildResponse(this.CMD_ACK, packet);
+        const nack = this.buildResponse(this.CMD_NACK, packet);
+
+        switch (cmd)
+        {
+            case this.CMD_SET_MODE:
+                if (length < 1) return nack;
+                this.mode = payload[0];
+                if (this.mode === this.RUN_MODE) this.writeProtected = true;
+                return ack;
+
+            case this.CMD_READ_EEPROM_PAGE:
+            {
+                const pageSize = this.PACKET_SIZE - this.PACKET_HEADER_SIZE;
+                if (address + pageSize > this.EEPROM_SIZE) return nack;
+                return this.buildResponse(this.CMD_ACK, packet, this.eeprom.slice(address, address + pageSize));
+            }
+
+            case this.CMD_PROGRAM_MEM_BLOCK:
+                // The bootloader below PRG_START_ADD is never writable
+                if (this.mode !== this.PROG_MODE) return nack;
+                if (address < this.PRG_START_ADD || address + length > this.PROGRAM_MEMORY_SIZE) return nack;
+                this.programMemory.set(payload, address);
+                return ack;
+
+            case this.CMD_EEPROM_CLEAR_PROTECTION:
+                if (this.mode !== this.PROG_MODE) return nack;
+                this.writeProtected = false;
+                return ack;
+
+            case this.CMD_ERASE_EEPROM_BLOCK:
+            {
+                if (this.mode !== this.PROG_MODE || this.writeProtected) return nack;
+                if (address >= this.EEPROM_SIZE) return nack;
+                const blockStart = address - (address % this.EEPROM_BLOCK_SIZE);
+                this.eeprom.fill(0xff, blockStart, blockStart + this.EEPROM_BLOCK_SIZE);
+                return ack;
+            }
+
+            case this.CMD_WRITE_EEPROM_PAGE:
+                if (this.mode !== this.PROG_MODE || this.writeProtected) return nack;
+                if (address + length > this.EEPROM_SIZE) return nack;
+                // Flash programming can only clear bits; erased (0xFF) bytes leave existing data untouched
+                for (let i = 0; i < length; i++)
+                {
+                    this.eeprom[address + i] &= payload[i];
+                }
+                return ack;
+
+            default:
+                return nack;
+        }
+    }
+} // End LuxeDeviceEmulator Class
+
+
+// --- TraceReplayDevice Class Definition ---
+// Plays back a USB trace recorded by PicUsbInterface: every outgoing packet is compared with the
+// recorded one and answered with the recorded response (or timeout), so a field failure can be
+// reproduced against the current code. The first packet that differs from the trace is reported.
+class TraceReplayDevice extends LuxeDeviceEmulator
+{
+    /**
+     * @param {{entries: object[]}} trace - Parsed trace file
+     */
+    constructor(trace)
+    {
+        super();
+        this.productName = "Luxe (trace replay)";
+        this.exchanges = this.buildExchanges(trace.entries || []);
+        this.position = 0;
+        this.divergence = null; // { position, expected, actual } at the first mismatch
+    }
+
+    /**
+     * Pair each recorded outgoing packet with the report (or timeout) that followed it
+     * @param {object[]} entries - Trace entries in recorded order
+     * @returns {object[]} Exchanges of { out, error, response, timeout, entryIndex }
+     */
+    buildExchanges(entries)
+    {
+        const exchanges = [];
+        for (let i = 0; i < entries.length; i++)
+        {
+            const entry = entries[i];
+            if (entry.dir !== "out") continue;
+
+            const exchange = { out: entry.data || "", error: entry.error || null, response: null, timeout: false, entryIndex: i };
+            const next = entries[i + 1];
+            if (next && next.dir === "in")
+            {
+                exchange.response = next.data || null;
+                exchange.timeout = !!next.timeout;
+            }
+            exchanges.push(exchange);
+        }
+        return exchanges;
+    }
+
+    /**
+     * Compare the host's packet with the trace and answer as the device did in the field
+     * @param {number} reportId - The report ID (ignored)
+     * @param {BufferSource} data - The 37-byte command packet
+     * @returns {Promise<void>}
+     */
+    async sendReport(reportId, data)
+    {
+        if (!this.opened)
+        {
+            throw new Error("Replay device is not open.");
+        }
+
+        const packet = ArrayBuffer.isView(data)
+            ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+            : new Uint8Array(data);
+        const actual = Array.from(packet, (b) => b.toString(16).padStart(2, "0")).join("");
+
+        if (this.divergence)
+        {
+            this.scheduleResponse(this.buildResponse(this.CMD_NACK, packet));
+            return;
+        }
+
+        const exchange = this.exchanges[this.position];
+        if (!exchange || exchange.out !== actual)
+        {
+            this.divergence = { position: this.position, expected: exchange ? exchange.out : null, actual };
+            console.warn(`Trace replay diverged at packet ${this.position + 1}.`);
+            this.scheduleResponse(this.buildResponse(this.CMD_NACK, packet));
+            return;
+        }
+        this.position++;
+
+        if (exchange.error)
+        {
+            throw new Error(`Replayed sendReport failure: ${exchange.error}`);
+        }
+        if (exchange.response)
+        {
+            const response = new Uint8Array(exchange.response.match(/../g).map((h) => parseInt(h, 16)));
+            this.scheduleResponse(response);
+        }
+        // No recorded response (timeout): stay silent
+    }
+
+    /**
+     * Summarise how far the replay got
+     * @returns {{matched: number, total: number, divergence: object | null, complete: boolean}} Replay outcome
+     */
+    getResult()
+    {
+        return {
+            matched: this.position,
+            total: this.exchanges.length,
+            divergence: this.divergence,
+            complete: !this.divergence && this.position === this.exchanges.length
+        };
+    }
+} // End TraceReplayDevice Class
+
+
+/**
+ * Stand-in for navigator.hid offering emulated devices that can be unplugged and plugged in
+ * (one to start with; plug in more to emulate several markers attached at once)
+ */
+class EmulatedHid extends EventTarget
+{
+    constructor(device = new LuxeDeviceEmulator())
+    {
+        super();
+        this.device = device; // The first device, the one unplug() and plugIn() use by default
+        this.attached = [device];
+    }
+
+    /**
+     * @returns {Promise<LuxeDeviceEmulator[]>} The attached emulated devices, as if already paired
+     */
+    async getDevices()
+    {
+        return this.attached.slice();
+    }
+
+    /**
+     * @param {{filters: object[]}} options - Request filters (the emulated devices always match)
+     * @returns {Promise<LuxeDeviceEmulator[]>} The attached emulated devices, as if all were chosen
+     */
+    async requestDevice(options)
+    {
+        return this.attached.slice();
+    }
+
+    /**
+     * Simulate pulling out the USB cable: the device closes, drops back to run mode and a "disconnect" event fires
+     * @param {LuxeDeviceEmulator} [device] - The device to unplug
+     */
+    unplug(device = this.device)
+    {
+        if (!this.attached.includes(device)) return;
+        this.attached = this.attached.filter((attached) => attached !== device);
+        device.opened = false;
+        device.writeProtected = true;
+        device.mode = device.RUN_MODE;
+        this.dispatchEvent(new EmulatedConnectionEvent("disconnect", device));
+    }
+
+    /**
+     * Simulate plugging in a USB cable: a "connect" event fires for the (closed) device
+     * @param {LuxeDeviceEmulator} [device] - The device to plug in (a new one emulates another marker)
+     * @returns {LuxeDeviceEmulator} The device
+     */
+    plugIn(device = this.device)
+    {
+        if (this.attached.includes(device)) return device;
+        this.attached.push(device);
+        this.dispatchEvent(new EmulatedConnectionEvent("connect", device));
+        return device;
+    }
+}
+
+
+// Allow the emulator to be loaded outside the browser (e.g. under Node) for bench-free testing
+if (typeof module !== "undefined" && module.exports)
+{
+    module.exports = { LuxeDeviceEmulator, TraceReplayDevice, EmulatedHid, EmulatedInputReportEvent, EmulatedConnectionEvent };
+}
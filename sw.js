@@ -0,0 +1,62 @@
+// Allman Style Formatting Applied
+
+// Service worker: lets the interface run offline once visited.
+// The page (syncOfflineCache in app.js) decides what is cached, including the application files
+// (OFFLINE_APP_FILES), and refreshes it when online; this worker serves requests from the network
+// when it can and from that cache when it can't.
+
+const OFFLINE_CACHE_NAME = "luxe-offline"; // Must match app.js
+const NETWORK_TIMEOUT = 4000; // Milliseconds to wait for the network before using a cached copy
+
+self.addEventListener("install", () =>
+{
+    self.skipWaiting();
+});
+
+self.addEventListener("activate", (event) =>
+{
+    event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener("fetch", (event) =>
+{
+    const request = event.request;
+    if (new URL(request.url).origin !== self.location.origin || (request.method !== "GET" && request.method !== "HEAD"))
+    {
+        return; // Let the browser handle it
+    }
+    event.respondWith(respondNetworkFirst(request));
+});
+
+/**
+ * Answers a request from the network, falling back to the cached copy when the network fails or is too slow.
+ * @param {Request} request - The GET or HEAD request.
+ * @returns {Promise<Response>} The response.
+ */
+async function respondNetworkFirst(request)
+{
+    let cached = await caches.match(request.url, { ignoreSearch: true });
+    if (!cached && request.mode === "navigate")
+    {
+        cached = await caches.match("index.html");
+    }
+
+    const network = fetch(request);
+    if (!cached)
+    {
+        return network; // Nothing to fall back on
+    }
+
+    try
+    {
+        return await Promise.race([
+            network,
+            new Promise((resolve, reject) => setTimeout(() => reject(new Error("Network timeout")), NETWORK_TIMEOUT))
+        ]);
+    }
+    catch (error)
+    {
+        // HEAD requests (file sizes) only need the headers of the cached copy
+        return request.method === "HEAD" ? new Response(null, { status: cached.status, headers: cached.headers }) : cached;
+    }
+}